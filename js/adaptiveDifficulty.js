@@ -0,0 +1,123 @@
+/**
+ * adaptiveDifficulty.js
+ * Rubber-band AI difficulty for PVP ("맞춤" difficulty)
+ *
+ * Watches the score gap between the human's board and the AI's board and
+ * nudges the AI's skill (AIEngine.setSkill: 0 = easy ... 1 = hell) every
+ * second: the human pulling ahead makes the AI sharper, the AI pulling ahead
+ * makes it sloppier, so the match stays close. The skill a match settles on
+ * is kept per player name (SkillRatings) and is where the next match starts.
+ */
+
+class AdaptiveDifficulty {
+  static ADJUST_MS = 1000;
+  static GAP_SCALE = 1000; // Score gap (about a level) that moves the skill at full speed
+  static MAX_CHANGE_PER_SEC = 0.03; // Full range in about half a minute of one-sided play
+
+  /**
+   * @param {AIEngine} ai - AI to tune (its difficulty should be 'adaptive')
+   * @param {GameCore} humanEngine - Opponent's board (only its score is read)
+   * @param {Object} options - { onChange: fn(skill) } after each adjustment
+   */
+  constructor(ai, humanEngine, { onChange = () => {} } = {}) {
+    this.ai = ai;
+    this.human = readOnlyView(humanEngine);
+    this.onChange = onChange;
+    this.timer = null;
+    this.lastClock = 0;
+    this.skillTime = 0; // Sum of skill x ms played, for averageSkill()
+    this.playedMs = 0;
+  }
+
+  start() {
+    this.stop();
+    this.lastClock = this.ai.game.clock;
+    this.skillTime = 0;
+    this.playedMs = 0;
+    this.timer = setInterval(() => this.adjust(), AdaptiveDifficulty.ADJUST_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * One adjustment, scaled by the game time since the last one
+   * (nothing happens while paused or once either board has ended).
+   */
+  adjust() {
+    const board = this.ai.game;
+    const elapsed = board.clock - this.lastClock;
+    this.lastClock = board.clock;
+    if (!board.isGameActive || !this.human.isGameActive || elapsed <= 0) return;
+
+    const gap = this.human.score - board.score; // > 0: the human is ahead
+    const pull = Math.max(-1, Math.min(1, gap / AdaptiveDifficulty.GAP_SCALE));
+    this.skillTime += this.ai.skill * elapsed;
+    this.playedMs += elapsed;
+
+    this.ai.setSkill(this.ai.skill + pull * AdaptiveDifficulty.MAX_CHANGE_PER_SEC * elapsed / 1000);
+    this.onChange(this.ai.skill);
+  }
+
+  /**
+   * Skill the AI played at on average since start()
+   */
+  averageSkill() {
+    return this.playedMs > 0 ? this.skillTime / this.playedMs : this.ai.skill;
+  }
+}
+
+/**
+ * Each player's skill rating (the AI skill their matches settle on), by name, in localStorage
+ */
+class SkillRatings {
+  static STORAGE_KEY = 'sky-fruit-skill-ratings';
+  static DEFAULT_RATING = 0.3; // New players start a bit above easy
+  static BLEND = 0.5; // Weight of the latest match against the stored rating
+
+  constructor(storage = Leaderboard.defaultStorage()) {
+    this.storage = storage;
+    this.ratings = this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(this.storage.getItem(SkillRatings.STORAGE_KEY) || '{}');
+      return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+    } catch (error) {
+      console.warn("Skill ratings are broken, starting fresh:", error);
+      return {};
+    }
+  }
+
+  save() {
+    try {
+      this.storage.setItem(SkillRatings.STORAGE_KEY, JSON.stringify(this.ratings));
+    } catch (error) {
+      // Quota full or storage disabled (private mode): keep the in-memory ratings
+      console.warn("Skill ratings could not be saved:", error);
+    }
+  }
+
+  get(name) {
+    const rating = this.ratings[Leaderboard.cleanName(name)];
+    return typeof rating === 'number' ? rating : SkillRatings.DEFAULT_RATING;
+  }
+
+  /**
+   * Blends a finished round's average AI skill into the player's rating.
+   * @returns {{ before: number, after: number }}
+   */
+  record(name, skill) {
+    const before = this.get(name);
+    const after = Math.max(0, Math.min(1, before + (skill - before) * SkillRatings.BLEND));
+    this.ratings[Leaderboard.cleanName(name)] = after;
+    this.save();
+    return { before, after };
+  }
+}
+
+window.AdaptiveDifficulty = AdaptiveDifficulty;
+window.SkillRatings = SkillRatings;
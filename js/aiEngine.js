@@ -1,179 +1,368 @@
 /**
  * aiEngine.js
- * Controls a GameEngine instance for the AI player.
+ * AI player: an input source that reads a GameEngine's state and
+ * steers it through an InputController, like a human player would.
+ *
+ * Each decision works like a person looking at the board and reacting:
+ *   1. look: predict when every falling item reaches the basket (from y, speed
+ *      and how much slow motion is left)
+ *   2. plan: search lane sequences over a short horizon for the most points;
+ *      a sequence that dodges every bomb beats any that doesn't, so a bomb
+ *      is only caught when no sequence the AI can see dodges it (every lane
+ *      blocked at once, or one freed too briefly to move in). Dodging comes
+ *      before fruit, so even hell can run out of misses
+ *   3. act: the first move of the best plan lands one reaction delay later;
+ *      the AI doesn't look again until it has acted
+ * Timing runs on the game's simulation clock, so pausing freezes the AI too.
+ *
+ * Difficulty only changes what a player could also be bad at: reaction time,
+ * how far ahead they look, how fast they can switch lanes again, mistaking
+ * an item for its lookalike (itemCatalog.js) until it is close, and looking
+ * away now and then. The board itself plays by the same rules for both sides.
+ *
+ * Fair mode (default): the AI sees the engine only through a read-only view,
+ * so anything besides the controller actions a human has (moveToLane,
+ * fireGun) throws instead of changing the game.
  */
 
-class AIEngine {
-    constructor(gameEngine, difficulty = 'medium') {
-        this.game = gameEngine;
+class AIEngine extends InputSource {
+    static TICK_MS = 20; // How often the browser polls update()
+
+    // Item enters / leaves the basket's reach at these y values (see GameCore.checkCollisions)
+    static CATCH_TOP_Y = 370;
+    static CATCH_BOTTOM_Y = 470;
+    static CLEAR_VIEW_Y = 250; // Below this an item is seen for what it is
+
+    static BOMB_PENALTY = 1e6; // Plans that catch a bomb lose to every safe plan
+    static MISS_PENALTY = 250; // Letting a life-costing fruit fall
+    static MOVE_COST = 2; // Tie-break: don't twitch between equal lanes
+
+    /**
+     * reactionTime      ms from looking at the board to the move landing
+     * lookaheadMs       items further away than this are ignored
+     * switchCooldownMs  after a lane change, no new one for this long
+     * errorRate         chance an item far away is taken for its lookalike
+     * lapseRate         chance per look of looking away for lapseMs
+     * usesGun           fires the roulette gun at incoming bombs
+     */
+    static DIFFICULTIES = {
+        easy: { reactionTime: 800, lookaheadMs: 1000, switchCooldownMs: 600, errorRate: 0.3, lapseRate: 0.08, lapseMs: 800, usesGun: false }, // 쉬움
+        medium: { reactionTime: 500, lookaheadMs: 1500, switchCooldownMs: 300, errorRate: 0.1, lapseRate: 0.04, lapseMs: 500, usesGun: false }, // 중간
+        hard: { reactionTime: 200, lookaheadMs: 2000, switchCooldownMs: 100, errorRate: 0.03, lapseRate: 0.01, lapseMs: 300, usesGun: true }, // 어려움
+        hell: { reactionTime: 50, lookaheadMs: 2000, switchCooldownMs: 0, errorRate: 0, lapseRate: 0, lapseMs: 0, usesGun: true } // 극악
+    };
+
+    /**
+     * @param {GameCore} gameEngine - Board to play (steered only through the bound controller)
+     * @param {string} difficulty - Key of AIEngine.DIFFICULTIES, or 'adaptive' (see setSkill)
+     * @param {SeededRandom} rng - Optional; defaults to a fork of the game's seed
+     * @param {Object} options - { fair: false } hands the AI the live engine instead of a
+     *                           read-only view (skips the checks, e.g. for long headless batches)
+     */
+    constructor(gameEngine, difficulty = 'medium', rng = null, { fair = true } = {}) {
+        super('ai');
+        this.game = fair ? readOnlyView(gameEngine) : gameEngine;
         this.difficulty = difficulty;
+        this.injectedRng = rng; // Optional SeededRandom
+        this.rng = rng;
         this.updateInterval = null;
-        this.reactionTime = 500; // ms
-        this.errorRate = 0.0; // 0 to 1
+        this.pending = null; // { lane, gun, dueAt } move decided but not yet made
+        this.switchReadyAt = 0; // Clock time the next lane change can land
+        this.lookingAwayUntil = 0; // Clock time an attention lapse ends
+        this.perceived = new WeakMap(); // item -> type the AI takes it for while it is far away
+        this.skill = 0.5; // 'adaptive' only: 0 (easy) to 1 (hell)
 
         this.configureDifficulty();
     }
 
     configureDifficulty() {
-        // defaults
-        this.minSurvivorLevel = 1;
-
-        switch (this.difficulty) {
-            case 'easy': // 쉬움
-                this.reactionTime = 800;
-                this.errorRate = 0.3; // 30% chance to pick wrong/random lane
-                this.minSurvivorLevel = 2; // 최소 레벨 2 보장
-                break;
-            case 'medium': // 중간
-                this.reactionTime = 500;
-                this.errorRate = 0.1;
-                this.minSurvivorLevel = 5; // 최소 레벨 5 보장
-                break;
-            case 'hard': // 어려움
-                this.reactionTime = 200;
-                this.errorRate = 0.0;
-                this.minSurvivorLevel = 8; // 최소 레벨 8 보장
-                break;
-            case 'hell': // 극악
-                this.reactionTime = 50; // Super fast
-                this.errorRate = 0.0;
-                this.minSurvivorLevel = 12; // 최소 레벨 12 보장
-                break;
+        if (this.difficulty === 'adaptive') {
+            this.setSkill(this.skill);
+            return;
         }
+        const profile = AIEngine.DIFFICULTIES[this.difficulty] || AIEngine.DIFFICULTIES.medium;
+        Object.assign(this, profile);
+    }
+
+    /**
+     * Handicaps in between easy (skill 0) and hell (skill 1)
+     */
+    static profileFor(skill) {
+        const { easy, hell } = AIEngine.DIFFICULTIES;
+        const profile = {};
+        Object.keys(easy).forEach(key => {
+            profile[key] = typeof easy[key] === 'number'
+                ? easy[key] + (hell[key] - easy[key]) * skill
+                : (skill < 0.5 ? easy[key] : hell[key]);
+        });
+        return profile;
+    }
+
+    /**
+     * Sets an adaptive AI's skill (clamped to 0..1); AdaptiveDifficulty calls
+     * this during a match. Takes effect from the next look at the board.
+     */
+    setSkill(skill) {
+        this.skill = Math.max(0, Math.min(1, skill));
+        Object.assign(this, AIEngine.profileFor(this.skill));
+    }
+
+    /**
+     * Board of the bound player, as the AI sees it (the read-only view in fair mode)
+     */
+    get engine() {
+        return this.controller ? this.game : null;
     }
 
     start() {
         this.stop();
-        // Run AI loop
-        this.updateInterval = setInterval(() => this.decideMove(), this.reactionTime);
+        // Own stream derived from the game seed, so AI mistakes never shift item spawns
+        this.rng = this.injectedRng || this.game.rng.fork('ai');
+        this.pending = null;
+        this.switchReadyAt = 0;
+        this.lookingAwayUntil = 0;
+        this.perceived = new WeakMap();
+        this.updateInterval = setInterval(() => this.update(), AIEngine.TICK_MS);
     }
 
     stop() {
         if (this.updateInterval) clearInterval(this.updateInterval);
+        this.updateInterval = null;
     }
 
-    decideMove() {
-        if (!this.game.isGameActive) return;
+    disconnect() {
+        this.stop(); // Unbound from its player: nothing left to steer
+    }
 
-        // Apply Invincibility if below min level
-        if (this.game.level < this.minSurvivorLevel) {
-            this.game.isInvincible = true;
-        } else {
-            this.game.isInvincible = false;
+    /**
+     * One tick: make the pending move once its reaction delay has passed,
+     * then look at the board again. Call it every frame when driving the
+     * AI yourself (headless, after the game has started); start() does it
+     * on a timer in the browser.
+     */
+    update() {
+        if (!this.game.isGameActive || this.game.isPaused) return;
+        if (!this.rng) this.rng = this.game.rng.fork('ai'); // Driven without start()
+
+        if (this.pending) {
+            if (this.game.clock < this.pending.dueAt) return;
+            this.act(this.pending);
+            this.pending = null;
         }
+        if (this.game.clock < this.lookingAwayUntil) return;
+        this.decideMove();
+    }
 
-        // Analyze falling items
-        // We want the item that is closest to catch but safe.
-        // Logic: Look at items in the lower half of screen (y > 200?) or closest.
+    decideMove() {
+        // Attention lapse: no look at the board for a while (a move already made still counts)
+        if (this.rng.next() < this.lapseRate) {
+            this.lookingAwayUntil = this.game.clock + this.lapseMs;
+            return;
+        }
 
-        // Sort items by Y (closest to bottom first)
-        // Filter out items that are already too low (past player)
-        const items = this.game.items.filter(item => item.y < 420 && item.y > 0).sort((a, b) => b.y - a.y);
+        const dueAt = Math.max(this.game.clock + this.reactionTime, this.switchReadyAt);
+        const plans = this.plan(dueAt - this.game.clock);
 
-        if (items.length === 0) {
-            // Nothing to do, stay or move to center?
-            // Advanced AI might move to center to cover more ground.
-            if (this.difficulty === 'hell') this.moveTo(1);
-            return;
+        this.pending = {
+            lane: plans[0].lane,
+            gun: this.wantsGun(),
+            dueAt
+        };
+    }
+
+    act({ lane, gun }) {
+        if (gun && (this.game.hasGun || this.game.devGunMode) && !this.game.gunActive) {
+            this.emit('fireGun');
         }
+        if (this.game.playerPos !== lane) {
+            this.switchReadyAt = this.game.clock + this.switchCooldownMs;
+        }
+        this.moveTo(lane);
+    }
 
-        // Identify threats and targets
-        let targetLane = this.game.playerPos; // Default: stay
-        let bestScore = -9999;
-
-        // Simple analysis: Iterate all 3 lanes, see which one is "best"
-        const lanes = [0, 1, 2];
-
-        // Evaluate each lane score
-        const laneScores = lanes.map(lane => {
-            // Find lowest item in this lane
-            const itemInLane = items.find(it => it.lane === lane);
-
-            let score = 0;
-            if (!itemInLane) {
-                // Empty lane. Safe but no reward.
-                // Slight penalty for moving unnecessarily?
-                score = 0;
-            } else {
-                if (itemInLane.type === 'bomb') {
-                    score = -1000; // Avoid!
-                } else if (itemInLane.type === 'rocket') {
-                    // Boss rocket. Damage?
-                    // Assuming rocket hurts player or ends game? 
-                    // In single player, rocket damages boss IF caught?
-                    // Wait, catching rocket -> damageBoss.
-                    // So catching rocket is GOOD!
-                    score = 500;
-                } else {
-                    // Fruit
-                    score = itemInLane.score; // 100, 200, 300
-                }
-
-                // If Invincible (Survivor Mode), don't fear bombs.
-                // We want to catch everything, so if a bomb is blocking, just take it (it's blocked).
-                // Actually, if we want to catch 'fruits', we shouldn't avoid lanes just because of a bomb.
-                // However, standard bomb is -1000.
-                if (itemInLane.type === 'bomb' && this.game.isInvincible) {
-                    score = 0; // Neutral. If there's nothing else, might as well stay or move.
-                    // But if there IS a fruit 'behind' it (not visible here since we only see lowest), 
-                    // we might want to clear it?
-                    // Simple fix: Bomb is not negative.
-                    // Even better: If we want to catch fruits, we prioritize lanes with fruits.
-                    // If a lane only has a bomb, score 0.
-                    // If a lane has fruit, score 100+.
-                    // So AI will choose Fruit > Bomb(0).
-                }
-
-                // Distance penalty (don't move too frantically for small points if far away)
-                // distance = Math.abs(lane - this.game.playerPos);
-                // score -= distance * 10;
-            }
-            return { lane, score };
-        });
+    /**
+     * What the AI takes an item for. Far away, an item with a lookalike is
+     * sometimes mistaken for it (decided once per item); up close it is seen
+     * correctly, so there may still be time to fix the mistake.
+     */
+    perceivedType(item) {
+        if (item.y >= AIEngine.CLEAR_VIEW_Y) return item.type;
 
-        // Pick best lane
-        laneScores.sort((a, b) => b.score - a.score);
-        let bestOption = laneScores[0];
-
-        // Apply Error Rate (AI Mistake)
-        // If Invincible, always play perfect (or standard best).
-        const shouldUseError = !this.game.isInvincible && Math.random() < this.errorRate;
-
-        if (shouldUseError) {
-            // Pick a random lane instead
-            targetLane = Math.floor(Math.random() * 3);
-        } else {
-            // If the best option is really bad (e.g. only bombs), try to stay safe.
-            // If all lanes have bombs (rare), good luck.
-            if (bestOption.score < -500) {
-                // Panic? Stay put or random?
-            } else {
-                targetLane = bestOption.lane;
-            }
+        if (!this.perceived.has(item)) {
+            const lookalike = this.game.itemCatalog.items[item.type].lookalike;
+            const isMistaken = lookalike && this.rng.next() < this.errorRate;
+            this.perceived.set(item, isMistaken ? lookalike : item.type);
         }
+        return this.perceived.get(item);
+    }
 
-        // Gun Logic (Hell Mode only?)
-        if (this.difficulty === 'hell' || this.difficulty === 'hard') {
-            // If bomb is effectively unavoidable or high density, use gun?
-            // Simplified: If has gun and bombs on screen, fire.
-            const hasBomb = items.some(it => it.type === 'bomb');
-            if (hasBomb && (this.game.hasGun || this.game.devGunMode)) {
-                this.game.activateGun(); // AI cheats by spamming W if it has gun?
-                // Or just activate. 
-                // Note: gameEngine.activateGun() is toggle/timer based.
-                if (!this.game.gunActive) this.game.activateGun();
-            }
+    /**
+     * Arrival windows of the items on screen: [enter, leave) in ms from now,
+     * when each item can be caught by a basket in its lane.
+     */
+    predictArrivals() {
+        // Slow motion halves every speed until its timer (shown on the HUD) runs out
+        const slowMo = this.game.powerUps.slowMo;
+        const slowMs = !slowMo ? 0 : (slowMo.endsAt === null ? Infinity : this.game.powerUpTimeLeft('slowMo'));
+        const catalog = this.game.itemCatalog.items;
+
+        return this.game.items
+            .filter(item => item.y < AIEngine.CATCH_BOTTOM_Y && !item.isTargeted)
+            .map(item => {
+                const speed = item.speed / 1000; // px per ms
+                const slowDistance = speed / 2 * slowMs;
+                const timeToFall = distance => (distance <= slowDistance
+                    ? distance / (speed / 2)
+                    : slowMs + (distance - slowDistance) / speed);
+                const type = this.perceivedType(item);
+                return {
+                    lane: item.lane,
+                    value: this.catchValue(catalog[type], type === item.type ? item.score : catalog[type].score),
+                    enter: timeToFall(Math.max(0, AIEngine.CATCH_TOP_Y - item.y)),
+                    leave: timeToFall(AIEngine.CATCH_BOTTOM_Y - item.y)
+                };
+            })
+            .filter(arrival => arrival.enter < this.lookaheadMs);
+    }
+
+    /**
+     * Value of catching an item (bombs: see BOMB_PENALTY)
+     */
+    catchValue(def, score) {
+        switch (def.onCatch) {
+            case 'explode':
+                return -AIEngine.BOMB_PENALTY;
+            case 'damageBoss':
+                return 500;
+            case 'powerUp':
+            case 'heal':
+                return 150; // Worth grabbing, but not over a big fruit
+            default:
+                // Fruit: its points, plus the life we'd lose by letting it fall
+                return score + (def.missCostsLife ? AIEngine.MISS_PENALTY : 0);
         }
+    }
+
+    /**
+     * Searches lane sequences over the horizon.
+     *
+     * Time is cut into slots: slot 0 lasts until the move we decide now lands
+     * (the basket stays put), and the lane can change once per slot after that,
+     * a slot being one reaction (or switch cooldown, if longer). An item is
+     * caught in a slot if the basket is in its lane while the item is in reach;
+     * it counts once, in the first such slot. That only depends on the previous
+     * slot's lane, so dynamic programming over (slot, lane) finds the best
+     * sequence exactly.
+     *
+     * update() runs once per tick, so a move can land up to a tick after it is
+     * due: slots are planned one tick long, and bomb windows are widened by the
+     * drift that adds up over the slots. A plan judged safe stays safe whenever
+     * the moves actually land.
+     *
+     * @param {number} firstMs - Time until the move decided now is due
+     * @returns {Array<{lane, value}>} Best plan per first move, best first
+     */
+    plan(firstMs = this.reactionTime) {
+        const lanes = this.game.lanes;
+        const current = this.game.playerPos;
+        const moveMs = Math.max(this.reactionTime, this.switchCooldownMs);
+        const slotMs = moveMs + AIEngine.TICK_MS;
+        const slotCount = Math.max(2, Math.ceil((this.lookaheadMs - firstMs) / slotMs) + 2);
+        // Planned start of slot k, and the earliest it can really start (no tick drift)
+        const slotStart = k => (k === 0 ? 0 : firstMs + AIEngine.TICK_MS + (k - 1) * slotMs);
+        const earliestStart = k => (k === 0 ? 0 : firstMs + (k - 1) * moveMs);
+        const overlaps = (arrival, k) => {
+            if (arrival.value >= 0) return arrival.enter < slotStart(k + 1) && arrival.leave > slotStart(k);
+            // Bomb: the slot may start or end early or late; one step of slack for collision timing
+            return arrival.enter - GameCore.STEP_MS < slotStart(k + 1) && arrival.leave + GameCore.STEP_MS > earliestStart(k);
+        };
+
+        const arrivals = this.predictArrivals();
+
+        // gain(k, lane, prev): value collected in slot k, coming from lane prev
+        const gain = (k, lane, prev) => arrivals.reduce((sum, arrival) => {
+            if (arrival.lane !== lane || !overlaps(arrival, k)) return sum;
+            if (k > 0 && prev === lane && overlaps(arrival, k - 1)) return sum; // Already caught
+            return sum + arrival.value;
+        }, 0);
+
+        // best[lane] = { value, first } of the best sequence ending in lane at slot k
+        let best = {};
+        lanes.forEach(lane => { best[lane] = null; });
+        best[current] = { value: gain(0, current, null), first: current };
 
-        this.moveTo(targetLane);
+        for (let k = 1; k < slotCount; k++) {
+            const next = {};
+            lanes.forEach(lane => {
+                next[lane] = null;
+                lanes.forEach(prev => {
+                    const from = best[prev];
+                    if (!from) return;
+                    const value = from.value + gain(k, lane, prev) - (lane === prev ? 0 : AIEngine.MOVE_COST);
+                    if (!next[lane] || value > next[lane].value) {
+                        next[lane] = { value, first: k === 1 ? lane : from.first };
+                    }
+                });
+            });
+            best = next;
+        }
+
+        // Best total per first move (the only move we commit to now)
+        const byFirst = {};
+        Object.values(best).forEach(({ value, first }) => {
+            if (byFirst[first] === undefined || value > byFirst[first]) byFirst[first] = value;
+        });
+        return Object.entries(byFirst)
+            .map(([lane, value]) => ({ lane: Number(lane), value }))
+            .sort((a, b) => b.value - a.value || (a.lane === current ? -1 : b.lane === current ? 1 : 0));
+    }
+
+    /**
+     * Fire the gun (if this difficulty uses it) when a bomb is on its way.
+     */
+    wantsGun() {
+        if (!this.usesGun) return false;
+        return this.game.items.some(item => item.y > 0 && this.game.itemCatalog.items[this.perceivedType(item)].onCatch === 'explode');
     }
 
     moveTo(lane) {
         if (this.game.playerPos !== lane) {
-            this.game.playerPos = lane;
-            this.game.updatePlayerPosition();
+            this.emit('moveToLane', { lane });
         }
     }
 }
 
+/**
+ * Read-only proxy of an object and everything reached through it.
+ * Reading works as usual (methods run against the view, so they can only
+ * read too); writing, or calling a function stored as data (listeners,
+ * timer callbacks), throws.
+ */
+const readOnlyViews = new WeakMap();
+
+function readOnlyView(target) {
+    if (target === null || typeof target !== 'object') return target;
+    if (readOnlyViews.has(target)) return readOnlyViews.get(target);
+
+    const refuse = (what) => () => {
+        throw new Error(`AI may not change the game (${what})`);
+    };
+    const view = new Proxy(target, {
+        get(obj, key, receiver) {
+            const value = Reflect.get(obj, key, receiver);
+            if (typeof value === 'function' && Object.prototype.hasOwnProperty.call(obj, key)) {
+                refuse(`calling ${String(key)}`)();
+            }
+            return typeof value === 'function' ? value : readOnlyView(value);
+        },
+        set: (obj, key) => refuse(`setting ${String(key)}`)(),
+        deleteProperty: (obj, key) => refuse(`deleting ${String(key)}`)(),
+        defineProperty: (obj, key) => refuse(`defining ${String(key)}`)(),
+        setPrototypeOf: refuse('setPrototypeOf'),
+        preventExtensions: refuse('preventExtensions')
+    });
+    readOnlyViews.set(target, view);
+    return view;
+}
+
 window.AIEngine = AIEngine;
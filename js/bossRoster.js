@@ -0,0 +1,166 @@
+/**
+ * bossRoster.js
+ * Boss definitions
+ *
+ * A level pack level with `boss: '<id>'` starts that boss fight. Pass another
+ * roster (same shape) via start({ bossRoster }).
+ *
+ * Boss fields:
+ *   name      shown when the fight starts
+ *   sprite    { emoji } or { image, fallback } (+ optional fontSize), like item visuals
+ *   hp        rockets needed to win
+ *   final     true = beating it wins the game; otherwise play goes on at the current level
+ *   reward    mid-boss reward: { score, items: [itemType, ...] } (items take effect as if caught)
+ *   weights   optional spawn weights for the whole fight (default: catalog `boss` table)
+ *   moveSpeed % of board width per second
+ *   phases    list, first phase first. A phase starts once HP / max HP <= `hpBelow`.
+ *
+ * Phase fields (all optional except hpBelow; unset ones fall back to the boss):
+ *   hpBelow        HP ratio that starts this phase (first phase: 1)
+ *   message        feedback shown when the phase starts
+ *   moveSpeed      boss movement speed
+ *   spawnInterval  ms between drops from under the boss
+ *   weights        spawn weights during this phase
+ *   attackEvery    ms between attacks (counted from the end of the previous attack)
+ *   attacks        attacks used in turn, see below
+ *
+ * Attacks (each is telegraphed for `telegraphMs`, default 1000, before it lands):
+ *   bombWall  `item` (default bomb) on `lanes` neighbouring lanes at once (always leaves one lane free)
+ *   volley    `count` items from `items` weights, `gap` ms apart, `speedScale` x faster,
+ *             aimed at the lane the player is in when the warning starts
+ *   sweep     `item` (default fireball) on every lane in turn, `gap` ms apart, from a random side
+ */
+
+const BOSS_ATTACK_TYPES = ['bombWall', 'volley', 'sweep'];
+
+const BOSS_ROSTER = {
+  golem: {
+    name: 'Stone Golem',
+    sprite: { emoji: '🗿' },
+    hp: 6,
+    moveSpeed: 20,
+    reward: { score: 500, items: ['heart'] },
+    phases: [
+      { hpBelow: 1 },
+      {
+        hpBelow: 0.5,
+        message: 'GOLEM IS ANGRY! 💢',
+        attackEvery: 5000,
+        attacks: [{ type: 'bombWall', lanes: 2 }]
+      }
+    ]
+  },
+
+  kraken: {
+    name: 'Kraken',
+    sprite: { emoji: '🐙' },
+    hp: 10,
+    moveSpeed: 30,
+    reward: { score: 800, items: ['shield'] },
+    phases: [
+      {
+        hpBelow: 1,
+        attackEvery: 6000,
+        attacks: [{ type: 'volley', count: 3, gap: 200, speedScale: 1.5, items: { bomb: 1, apple: 2 } }]
+      },
+      {
+        hpBelow: 0.5,
+        message: 'INK STORM! 🌊',
+        moveSpeed: 45,
+        attackEvery: 4500,
+        attacks: [
+          { type: 'volley', count: 4, gap: 150, speedScale: 1.8, items: { bomb: 1, apple: 1 } },
+          { type: 'bombWall', lanes: 2 }
+        ]
+      }
+    ]
+  },
+
+  dragon: {
+    name: 'Sky Dragon',
+    sprite: { emoji: '🐉', fontSize: '80px' },
+    hp: 15,
+    final: true,
+    moveSpeed: 30,
+    phases: [
+      { hpBelow: 1 },
+      {
+        hpBelow: 0.66,
+        message: 'PHASE 2! 🔥',
+        attackEvery: 5000,
+        attacks: [
+          { type: 'bombWall', lanes: 2 },
+          { type: 'volley', count: 4, gap: 150, speedScale: 1.6, items: { bomb: 2, rocket: 1 } }
+        ]
+      },
+      {
+        hpBelow: 0.33,
+        message: 'FINAL PHASE! 🔥🔥',
+        moveSpeed: 45,
+        attackEvery: 3500,
+        attacks: [
+          { type: 'sweep', gap: 250 },
+          { type: 'bombWall', lanes: 2 },
+          { type: 'volley', count: 5, gap: 120, speedScale: 2, items: { bomb: 2, rocket: 1 } }
+        ]
+      }
+    ]
+  }
+};
+
+/**
+ * Checks a boss roster before a game starts.
+ * Pass the item catalog to also check item names.
+ * Throws an Error naming the broken boss.
+ */
+function validateBossRoster(roster, catalog = null) {
+  if (!roster || typeof roster !== 'object') {
+    throw new Error("Boss roster must be an object of bosses");
+  }
+
+  const checkItem = (type, where) => {
+    if (catalog && !catalog.items[type]) {
+      throw new Error(`${where}: unknown item "${type}"`);
+    }
+  };
+
+  Object.entries(roster).forEach(([id, boss]) => {
+    const where = `Boss "${id}"`;
+
+    if (!boss.sprite || (!boss.sprite.emoji && !boss.sprite.image)) {
+      throw new Error(`${where} needs sprite.emoji or sprite.image`);
+    }
+    if (!(boss.hp > 0)) {
+      throw new Error(`${where} needs positive hp`);
+    }
+    if (!Array.isArray(boss.phases) || boss.phases.length === 0 || boss.phases[0].hpBelow !== 1) {
+      throw new Error(`${where} needs phases, the first with hpBelow: 1`);
+    }
+    Object.keys(boss.weights || {}).forEach(type => checkItem(type, where));
+    ((boss.reward && boss.reward.items) || []).forEach(type => checkItem(type, `${where} reward`));
+
+    boss.phases.forEach((phase, i) => {
+      const phaseWhere = `${where} phase ${i + 1}`;
+      if (i > 0 && !(phase.hpBelow < boss.phases[i - 1].hpBelow)) {
+        throw new Error(`${phaseWhere}: hpBelow must be lower than the previous phase`);
+      }
+      Object.keys(phase.weights || {}).forEach(type => checkItem(type, phaseWhere));
+
+      (phase.attacks || []).forEach(attack => {
+        if (!BOSS_ATTACK_TYPES.includes(attack.type)) {
+          throw new Error(`${phaseWhere}: unknown attack "${attack.type}"`);
+        }
+        if (!(phase.attackEvery > 0)) {
+          throw new Error(`${phaseWhere}: attacks need a positive attackEvery`);
+        }
+        if (attack.item) checkItem(attack.item, phaseWhere);
+        Object.keys(attack.items || {}).forEach(type => checkItem(type, phaseWhere));
+      });
+    });
+  });
+
+  return roster;
+}
+
+window.BOSS_ROSTER = BOSS_ROSTER;
+window.validateBossRoster = validateBossRoster;
@@ -0,0 +1,72 @@
+/**
+ * eventBus.js
+ * Small typed publish/subscribe hub
+ *
+ * Built with the list of event names it carries; subscribing to or emitting an
+ * unknown name throws, so a typo fails loudly instead of never firing.
+ * Any number of listeners per event. A listener that throws is logged and
+ * does not stop the others (or the game loop that emitted).
+ */
+
+class EventBus {
+  /**
+   * @param {string[]} types - Event names this bus accepts
+   */
+  constructor(types) {
+    this.listeners = {}; // type -> [fn, ...]
+    types.forEach(type => { this.listeners[type] = []; });
+  }
+
+  check(type) {
+    if (!this.listeners[type]) {
+      throw new Error(`Unknown event "${type}"`);
+    }
+  }
+
+  /**
+   * Calls fn(detail) every time `type` is emitted.
+   * Returns a function that unsubscribes.
+   */
+  on(type, fn) {
+    this.check(type);
+    this.listeners[type].push(fn);
+    return () => this.off(type, fn);
+  }
+
+  /**
+   * Like on(), but only for the next emit.
+   */
+  once(type, fn) {
+    const off = this.on(type, (detail) => {
+      off();
+      fn(detail);
+    });
+    return off;
+  }
+
+  off(type, fn) {
+    this.check(type);
+    this.listeners[type] = this.listeners[type].filter(listener => listener !== fn);
+  }
+
+  emit(type, detail) {
+    this.check(type);
+    // Copy: listeners may unsubscribe (once) or subscribe while we loop
+    this.listeners[type].slice().forEach(fn => {
+      try {
+        fn(detail);
+      } catch (error) {
+        console.error(`Listener for "${type}" failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Drops every listener (all types).
+   */
+  clear() {
+    Object.keys(this.listeners).forEach(type => { this.listeners[type] = []; });
+  }
+}
+
+window.EventBus = EventBus;
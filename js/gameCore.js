@@ -0,0 +1,1071 @@
+/**
+ * gameCore.js
+ * Sky Fruit Catcher simulation core (no DOM)
+ *
+ * Game rules and state only: spawn, move, collide, score, level, boss.
+ * Nothing here touches `document`, so it also runs headless in Node.
+ * GameRenderer reads this state (and the render events queue) to draw a frame.
+ */
+
+class GameCore {
+  // Fixed simulation step: 60 steps per second on any monitor refresh rate
+  static STEP_MS = 1000 / 60;
+  // Longest real frame we catch up on; anything slower just slows the game down
+  static MAX_FRAME_MS = 250;
+  // Catches in a row needed for x2, x3 score
+  static COMBO_TIERS = [5, 10];
+
+  /**
+   * Gameplay events, subscribe with on(type, fn). Every detail also carries `clock`.
+   *   gameStart     { laneCount, score, level }
+   *   itemSpawned   { item }
+   *   itemCaught    { item, byGun }
+   *   itemMissed    { item }                       fell past the basket
+   *   bombHit       { item, result }               result: 'exploded' | 'blocked' | 'shot'
+   *   levelUp       { level, previous }
+   *   bossStart     { bossId, name, hp }
+   *   bossDamaged   { bossId, hp, maxHp, phase }
+   *   bossDefeated  { bossId, final }
+   *   gunActivated  { source }
+   *   gunExpired    {}
+   *   livesChanged  { lives, maxLives }
+   *   laneChanged   { from, to, source }
+   *   scoreChanged  { score, level }
+   *   gameEnd       { score, level, victory, reason, message }
+   *                 reason: 'misses' | 'bomb' | 'time' | 'victory' | 'stopped' (outside stop)
+   */
+  static EVENTS = [
+    'gameStart', 'itemSpawned', 'itemCaught', 'itemMissed', 'bombHit', 'levelUp',
+    'bossStart', 'bossDamaged', 'bossDefeated', 'gunActivated', 'gunExpired',
+    'livesChanged', 'laneChanged', 'scoreChanged', 'gameEnd'
+  ];
+
+  constructor() {
+    this.score = 0;
+    this.level = 1;
+    this.timeLimit = 60;
+    this.combo = 0; // Fruit caught in a row without a miss
+    this.maxCombo = 0;
+    this.powerUps = {}; // name -> { name, icon, charges, endsAt, timer } (see itemCatalog.js)
+    this.isGameActive = false;
+    this.isPaused = false;
+    this.pauseReason = null;
+
+    // Simulation clock (ms). Advanced only in fixed steps, never by wall-clock timers.
+    this.stepCount = 0;
+    this.clock = 0;
+    this.accumulator = 0; // Real ms not yet simulated
+    this.timers = []; // Array of { at, fn }
+    this.nextSecondAt = 0;
+
+    // Randomness: every roll goes through this seeded generator
+    this.seed = null;
+    this.rng = null;
+
+    // Input log of the current run (see replay.js). null = not recording.
+    this.recording = null;
+
+    // Game State
+    this.playerPos = 1; // Lane index, 0 = leftmost
+    this.items = []; // Array of { id, type, lane, y, prevY, speed, score }
+    this.itemCatalog = ITEM_CATALOG; // See itemCatalog.js
+    this.itemIdCounter = 0;
+
+    // Settings
+    this.laneCount = 3;
+    this.laneLayout = getLaneLayout(3); // See laneLayout.js
+    this.lanes = [0, 1, 2];
+    this.laneWidth = 200;
+    this.spawnRate = 1500; // ms
+    this.lastSpawnTime = 0;
+    this.speedRange = [180, 240]; // px per second
+    this.levelPack = DEFAULT_LEVEL_PACK; // See levelPack.js
+    this.bossRoster = BOSS_ROSTER; // See bossRoster.js
+    this.patternTimers = []; // Scripted spawns of the current level
+
+    // Gameplay events (see GameCore.EVENTS). Listeners stay across restarts.
+    this.events = new EventBus(GameCore.EVENTS);
+    this.endReason = null; // gameEnd reason of the last finished run
+
+    // One-shot visual events (feedback text, popups, bullets, boss hits).
+    // The renderer drains this queue; headless runs can ignore it.
+    this.renderEvents = [];
+
+    // Dev State (Persistent across restarts)
+    this.devGunMode = false;
+  }
+
+  start(config = {}) {
+    if (this.isGameActive) return;
+
+    this.isGameActive = true;
+    this.isPaused = false;
+    this.pauseReason = null;
+    this.endReason = null;
+
+    // Injected rng wins; otherwise build one from the seed (random if none given)
+    this.rng = config.rng || new SeededRandom(config.seed ?? SeededRandom.randomSeed());
+    this.seed = this.rng.seed;
+
+    this.laneCount = config.laneCount || 3;
+    this.laneLayout = getLaneLayout(this.laneCount);
+    this.lanes = Array.from({ length: this.laneCount }, (_, i) => i);
+    this.playerPos = Math.floor((this.laneCount - 1) / 2);
+    this.missedCount = 0;
+    this.combo = 0;
+    this.maxCombo = 0;
+    this.powerUps = {};
+    this.spawningPaused = false;
+    this.levelSpawnCounts = {}; // type -> spawned this level (for maxPerLevel caps)
+    this.itemCatalog = validateItemCatalog(config.itemCatalog || ITEM_CATALOG);
+    this.bossRoster = validateBossRoster(config.bossRoster || BOSS_ROSTER, this.itemCatalog);
+    this.levelPack = validateLevelPack(config.levelPack || DEFAULT_LEVEL_PACK, {
+      catalog: this.itemCatalog,
+      laneCount: this.laneCount,
+      bossRoster: this.bossRoster
+    });
+    this.items = [];
+    this.itemIdCounter = 0;
+    this.renderEvents = [];
+
+    this.stepCount = 0;
+    this.clock = 0;
+    this.accumulator = 0;
+    this.timers = [];
+    this.patternTimers = [];
+    this.nextSecondAt = 1000;
+    this.lastSpawnTime = 0;
+
+    // Speed/Rate/Time come from the level pack
+    this.level = config.startLevel || 1;
+    this.score = this.scoreThresholdFor(this.level);
+    const levelDef = this.levelDef(this.level);
+    this.timeLimit = levelDef.timeLimit;
+    this.applyLevelSettings(levelDef);
+
+    // Boss State
+    this.isBossActive = false;
+    this.boss = null; // Roster entry of the current fight
+    this.bossId = null;
+    this.bossPhase = 0; // Index into boss.phases
+    this.bossHP = 0;
+    this.bossMaxHP = 0;
+    this.bossEntity = null;
+    this.bossTelegraph = null; // { type, lanes, endsAt } while an attack is being warned about
+    this.bossTimers = []; // Attack timers, dropped when the boss goes down
+    this.bossAttackIndex = 0;
+    this.pendingBosses = []; // Boss levels passed during another fight, fought next in order
+
+    // Reward Logic
+    this.reward = config.reward || null; // Roulette result: 'life', 'gun', 'kkwang'
+    this.maxMisses = 2; // Default
+    this.gunActive = false;
+    this.hasGun = false;
+    this.gunTimer = null;
+    this.gunLane = null; // Lane the gun last aimed at
+    this.isInvincible = false; // Only ever set by ReplayPlayer, for old recordings (see replay.js)
+
+    if (config.reward === 'life') {
+      this.maxMisses = 3;
+      this.showFeedback("Bonus Life Active! ❤️");
+    } else if (config.reward === 'gun') {
+      this.hasGun = true;
+      this.showFeedback("Gun Ready! Press 'W' 🔫", true);
+    }
+    if (config.maxMisses) this.maxMisses = config.maxMisses; // Tester override
+
+    // Everything needed to replay this run: seed, settings and (below) every input
+    this.recording = config.record === false ? null : {
+      seed: this.seed,
+      config: {
+        reward: config.reward || null,
+        startLevel: this.level,
+        maxMisses: config.maxMisses || null,
+        devGunMode: this.devGunMode,
+        itemCatalog: config.itemCatalog || null,
+        levelPack: config.levelPack || null,
+        bossRoster: config.bossRoster || null,
+        laneCount: this.laneCount
+      },
+      inputs: [],
+      result: null
+    };
+
+    // Boss Check Immediate
+    if (levelDef.boss) {
+      this.schedule(100, () => this.startBossFight());
+    } else {
+      this.schedulePatterns(levelDef);
+    }
+
+    this.emit('gameStart', { laneCount: this.laneCount, score: this.score, level: this.level });
+    this.emitLives();
+  }
+
+  /**
+   * Subscribes to a gameplay event (see GameCore.EVENTS): fn(detail).
+   * Returns a function that unsubscribes.
+   */
+  on(type, fn) {
+    return this.events.on(type, fn);
+  }
+
+  once(type, fn) {
+    return this.events.once(type, fn);
+  }
+
+  off(type, fn) {
+    this.events.off(type, fn);
+  }
+
+  /**
+   * Tells listeners what happened. Every detail carries the simulation clock.
+   */
+  emit(type, detail = {}) {
+    this.events.emit(type, { ...detail, clock: this.clock });
+  }
+
+  emitLives() {
+    this.emit('livesChanged', { lives: this.maxMisses - this.missedCount, maxLives: this.maxMisses });
+  }
+
+  /**
+   * Level pack entry for a level (past the end of the pack: its last level).
+   */
+  levelDef(level) {
+    const levels = this.levelPack.levels;
+    return levels[Math.min(level, levels.length) - 1];
+  }
+
+  scoreThresholdFor(level) {
+    const levels = this.levelPack.levels;
+    if (level <= levels.length) return levels[level - 1].scoreThreshold;
+
+    const extra = this.levelPack.pointsPerExtraLevel || 1000;
+    return levels[levels.length - 1].scoreThreshold + (level - levels.length) * extra;
+  }
+
+  levelForScore(score) {
+    let level = this.level;
+    while (this.scoreThresholdFor(level + 1) <= score) level++;
+    return level;
+  }
+
+  applyLevelSettings(levelDef) {
+    this.spawnRate = levelDef.spawnInterval;
+    this.speedRange = levelDef.speed;
+  }
+
+  /**
+   * Schedules a level's scripted spawns, replacing the previous level's.
+   */
+  schedulePatterns(levelDef) {
+    this.patternTimers.forEach(timer => this.cancelTimer(timer));
+    this.patternTimers = [];
+
+    (levelDef.patterns || []).forEach(pattern => {
+      const gap = pattern.gap ?? 300;
+      pattern.items.forEach((type, i) => {
+        const timer = this.schedule(pattern.at + i * gap, () => this.spawnItem(type, pattern.lane));
+        this.patternTimers.push(timer);
+      });
+    });
+  }
+
+  /**
+   * Ends the run.
+   * @param {string} message - Shown on the board
+   * @param {boolean} isVictory
+   * @param {string} reason - Why it ended, passed on in the gameEnd event
+   */
+  stop(message = "Time's Up!", isVictory = false, reason = 'stopped') {
+    if (!this.isGameActive) return;
+
+    // Logged so replays also end where an outside stop (PVP, Stop button) ended the run
+    this.recordInput({ action: 'stop', message, reason });
+    this.isGameActive = false;
+    this.showFeedback(message, true, isVictory);
+    this.endGame(isVictory, reason, message);
+  }
+
+  /**
+   * Last step of every finished game (stop or victory).
+   * Subclasses hook teardown here before gameEnd fires.
+   */
+  endGame(isVictory, reason, message) {
+    this.endReason = reason;
+
+    if (this.recording) {
+      this.recording.result = {
+        score: this.score,
+        level: this.level,
+        victory: isVictory,
+        steps: this.stepCount,
+        maxCombo: this.maxCombo,
+        reason
+      };
+    }
+
+    this.emit('gameEnd', { score: this.score, level: this.level, victory: isVictory, reason, message });
+  }
+
+  /**
+   * Runs fn once the simulation clock has advanced by delay ms.
+   * Returns the timer so it can be cancelled with cancelTimer().
+   */
+  schedule(delay, fn) {
+    const timer = { at: this.clock + delay, fn };
+    this.timers.push(timer);
+    return timer;
+  }
+
+  cancelTimer(timer) {
+    const idx = this.timers.indexOf(timer);
+    if (idx !== -1) this.timers.splice(idx, 1);
+  }
+
+  runTimers() {
+    // Timers may schedule new timers, so pick due ones one at a time.
+    while (this.isGameActive) {
+      let next = null;
+      for (const timer of this.timers) {
+        if (timer.at <= this.clock && (!next || timer.at < next.at)) next = timer;
+      }
+      if (!next) return;
+      this.cancelTimer(next);
+      next.fn();
+    }
+  }
+
+  /**
+   * Feed real elapsed time; runs as many fixed steps as fit.
+   * @param {number} elapsed - ms since the previous frame
+   * @returns {number} Interpolation factor (0-1) between the last two steps
+   */
+  advance(elapsed) {
+    if (!this.isGameActive) return 0;
+    // Paused: drop real time on the floor, so nothing (timers, items, boss) moves
+    if (this.isPaused) return this.accumulator / GameCore.STEP_MS;
+
+    this.accumulator += Math.min(Math.max(elapsed, 0), GameCore.MAX_FRAME_MS);
+    while (this.isGameActive && this.accumulator >= GameCore.STEP_MS) {
+      this.step();
+      this.accumulator -= GameCore.STEP_MS;
+    }
+
+    return this.accumulator / GameCore.STEP_MS;
+  }
+
+  /**
+   * Advance the simulation by exactly one fixed step.
+   */
+  step() {
+    if (!this.isGameActive || this.isPaused) return;
+
+    this.stepCount++;
+    this.clock = this.stepCount * GameCore.STEP_MS;
+    this.runTimers();
+
+    while (this.isGameActive && this.clock >= this.nextSecondAt) {
+      this.nextSecondAt += 1000;
+      this.tickSecond();
+    }
+    if (!this.isGameActive) return;
+
+    if (this.isBossActive && this.bossEntity) {
+      this.updateBossMovement();
+    }
+
+    if (!this.spawningPaused && this.clock - this.lastSpawnTime > this.spawnRate) {
+      this.spawnItem();
+      this.lastSpawnTime = this.clock;
+    }
+
+    this.updateItems();
+    if (!this.isGameActive) return;
+    this.checkCollisions();
+  }
+
+  /**
+   * Freezes the simulation clock: countdown, gun duration, level transitions,
+   * boss and items all stop until resume().
+   * @param {string} reason - 'manual', 'hidden', 'webcam', ...
+   */
+  pause(reason = 'manual') {
+    if (!this.isGameActive || this.isPaused) return;
+    this.isPaused = true;
+    this.pauseReason = reason;
+    this.showFeedback("⏸️ PAUSED", true);
+  }
+
+  resume() {
+    if (!this.isGameActive || !this.isPaused) return;
+    this.isPaused = false;
+    this.pauseReason = null;
+    this.showFeedback("GO!!", false);
+  }
+
+  togglePause(reason = 'manual') {
+    if (this.isPaused) this.resume();
+    else this.pause(reason);
+  }
+
+  tickSecond() {
+    if (this.isBossActive) return;
+
+    this.timeLimit--;
+    this.timeLimit = Math.max(0, this.timeLimit);
+
+    if (this.timeLimit <= 0) {
+      this.stop("Time Over!", false, 'time');
+    }
+  }
+
+  triggerLevelTransition(levelDef, message) {
+    this.spawningPaused = true;
+    this.showFeedback(message, true);
+    this.schedulePatterns({}); // Old level's script ends here
+
+    this.schedule(2000, () => {
+      this.spawningPaused = false;
+      this.applyLevelSettings(levelDef);
+      this.showFeedback("GO!!", false);
+      this.schedulePatterns(levelDef);
+    });
+  }
+
+  /**
+   * Starts a boss fight (default: the boss of the current level).
+   */
+  startBossFight(bossId = this.levelDef(this.level).boss) {
+    if (this.isBossActive) return;
+    const boss = this.bossRoster[bossId];
+
+    this.isBossActive = true;
+    this.boss = boss;
+    this.bossId = bossId;
+    this.bossHP = boss.hp;
+    this.bossMaxHP = boss.hp;
+    this.bossAttackIndex = 0;
+    this.spawningPaused = false;
+    this.applyLevelSettings(this.levelDef(this.level));
+    this.schedulePatterns({});
+
+    const icon = boss.sprite.emoji || boss.sprite.fallback || '';
+    this.showFeedback(`BOSS FIGHT! ${icon}\nCatch Rockets!`, true);
+    this.emit('bossStart', { bossId, name: boss.name, hp: boss.hp });
+
+    this.bossEntity = {
+      x: 50,
+      prevX: 50,
+      y: 0,
+      direction: 1
+    };
+    this.enterBossPhase(0);
+  }
+
+  get bossPhaseDef() {
+    return this.boss ? this.boss.phases[this.bossPhase] : null;
+  }
+
+  enterBossPhase(index) {
+    this.bossPhase = index;
+    const phase = this.bossPhaseDef;
+
+    if (phase.spawnInterval) this.spawnRate = phase.spawnInterval;
+    if (index > 0) this.showFeedback(phase.message || `PHASE ${index + 1}!`);
+
+    // A new phase starts its own attack rhythm
+    this.clearBossTimers();
+    this.bossTelegraph = null;
+    this.bossAttackIndex = 0;
+    this.scheduleBossAttack();
+  }
+
+  scheduleBossAttack() {
+    const phase = this.bossPhaseDef;
+    if (!phase.attacks || phase.attacks.length === 0) return;
+
+    this.bossTimers.push(this.schedule(phase.attackEvery, () => this.telegraphBossAttack()));
+  }
+
+  clearBossTimers() {
+    this.bossTimers.forEach(timer => this.cancelTimer(timer));
+    this.bossTimers = [];
+  }
+
+  /**
+   * Picks the next attack and its lanes, warns about them, then lands it.
+   */
+  telegraphBossAttack() {
+    const attacks = this.bossPhaseDef.attacks;
+    const attack = attacks[this.bossAttackIndex++ % attacks.length];
+    const lanes = this.bossAttackLanes(attack);
+    const telegraphMs = attack.telegraphMs ?? 1000;
+
+    this.bossTelegraph = { type: attack.type, lanes, endsAt: this.clock + telegraphMs };
+    this.showFeedback("⚠️ WARNING!");
+
+    this.bossTimers.push(this.schedule(telegraphMs, () => {
+      this.bossTelegraph = null;
+      this.runBossAttack(attack, lanes);
+      this.scheduleBossAttack();
+    }));
+  }
+
+  bossAttackLanes(attack) {
+    switch (attack.type) {
+      case 'bombWall': {
+        const width = Math.min(attack.lanes ?? 2, this.laneCount - 1); // Always leave a way out
+        const first = this.rng.int(this.laneCount - width + 1);
+        return Array.from({ length: width }, (_, i) => first + i);
+      }
+      case 'volley':
+        return [this.playerPos];
+      case 'sweep':
+        return this.rng.next() < 0.5 ? [...this.lanes] : [...this.lanes].reverse();
+    }
+    return [];
+  }
+
+  runBossAttack(attack, lanes) {
+    switch (attack.type) {
+      case 'bombWall':
+        lanes.forEach(lane => this.spawnItem(attack.item || 'bomb', lane));
+        break;
+      case 'volley':
+        for (let i = 0; i < (attack.count ?? 3); i++) {
+          this.bossTimers.push(this.schedule(i * (attack.gap ?? 150), () => {
+            const type = this.rng.weighted(attack.items || { bomb: 1 });
+            this.spawnItem(type, lanes[0], attack.speedScale ?? 1.5);
+          }));
+        }
+        break;
+      case 'sweep':
+        lanes.forEach((lane, i) => {
+          this.bossTimers.push(this.schedule(i * (attack.gap ?? 250), () => {
+            this.spawnItem(attack.item || 'fireball', lane);
+          }));
+        });
+        break;
+    }
+  }
+
+  damageBoss() {
+    if (!this.isBossActive) return;
+
+    this.bossHP--;
+    this.renderEvents.push({ type: 'bossHit', bossId: this.bossId, amount: 1 });
+
+    if (this.bossHP <= 0) {
+      this.emit('bossDamaged', { bossId: this.bossId, hp: 0, maxHp: this.bossMaxHP, phase: this.bossPhase });
+      this.defeatBoss();
+      return;
+    }
+
+    // Phases are ordered by hpBelow, so the last one we qualify for is current
+    const ratio = this.bossHP / this.bossMaxHP;
+    let phase = this.bossPhase;
+    while (phase + 1 < this.boss.phases.length && ratio <= this.boss.phases[phase + 1].hpBelow) phase++;
+    if (phase !== this.bossPhase) this.enterBossPhase(phase);
+    this.emit('bossDamaged', { bossId: this.bossId, hp: this.bossHP, maxHp: this.bossMaxHP, phase: this.bossPhase });
+  }
+
+  /**
+   * Final boss: the game is won. Mid-boss: reward, then back to normal play.
+   */
+  defeatBoss() {
+    const boss = this.boss;
+    const bossId = this.bossId;
+    this.clearBossTimers();
+    this.bossTelegraph = null;
+    this.emit('bossDefeated', { bossId, final: !!boss.final });
+
+    if (boss.final) {
+      this.victory();
+      return;
+    }
+
+    this.renderEvents.push({ type: 'bossDefeated', bossId });
+
+    // Reward while the fight still counts as active, so a level-up waits for the transition below
+    const reward = boss.reward || {};
+    if (reward.score) this.addScore(reward.score);
+    (reward.items || []).forEach(type => {
+      const def = this.itemCatalog.items[type];
+      this.runItemEffect(def.onCatch, { type, lane: this.playerPos, score: def.score }, def);
+    });
+
+    this.isBossActive = false;
+    this.boss = null;
+    this.bossId = null;
+    this.bossEntity = null;
+
+    const levelDef = this.levelDef(this.level);
+    if (this.pendingBosses.length > 0) {
+      // Scored past another boss level during the fight (or with its reward)
+      this.startBossFight(this.pendingBosses.shift());
+    } else {
+      const icon = boss.sprite.emoji || boss.sprite.fallback || '';
+      this.triggerLevelTransition(levelDef, `${icon} DEFEATED!`);
+    }
+  }
+
+  updateBossMovement() {
+    const phase = this.bossPhaseDef || {};
+    const speed = phase.moveSpeed ?? this.boss.moveSpeed ?? 30; // % of board width per second
+    this.bossEntity.prevX = this.bossEntity.x;
+    this.bossEntity.x += this.bossEntity.direction * speed * GameCore.STEP_MS / 1000;
+
+    if (this.bossEntity.x > 90 || this.bossEntity.x < 10) {
+      this.bossEntity.direction *= -1;
+    }
+  }
+
+  /**
+   * Spawns one item at the top of the board.
+   * @param {string} forcedType - Scripted item type (skips the weighted roll and caps)
+   * @param {number} forcedLane - Scripted lane
+   * @param {number} speedScale - Speed multiplier (boss volleys)
+   */
+  spawnItem(forcedType = null, forcedLane = null, speedScale = 1) {
+    let lane;
+
+    if (forcedLane !== null) {
+      lane = forcedLane;
+    } else if (this.isBossActive && this.bossEntity) {
+      // Drop from the lane under the boss
+      lane = Math.min(this.laneCount - 1, Math.floor(this.bossEntity.x / (100 / this.laneCount)));
+    } else {
+      lane = this.rng.int(this.laneCount);
+    }
+
+    let type = forcedType || this.rng.weighted(this.currentSpawnWeights());
+    const def = this.itemCatalog.items[type];
+
+    // Per-level cap (e.g. 5 bombs): extra rolls turn into the overflow item
+    if (!forcedType && def.maxPerLevel !== undefined) {
+      const count = this.levelSpawnCounts[type] || 0;
+      if (count >= def.maxPerLevel) {
+        if (!def.overflowItem) return;
+        type = def.overflowItem;
+      } else {
+        this.levelSpawnCounts[type] = count + 1;
+      }
+    }
+
+    const startY = this.isBossActive ? 60 : -60;
+
+    const item = {
+      id: this.itemIdCounter++,
+      type: type,
+      lane: lane,
+      y: startY,
+      prevY: startY, // y at the previous step, for render interpolation
+      speed: (this.speedRange[0] + this.rng.next() * (this.speedRange[1] - this.speedRange[0])) * speedScale, // px per second
+      score: this.itemCatalog.items[type].score,
+      spawnedAt: this.clock
+    };
+    this.items.push(item);
+    this.emit('itemSpawned', { item });
+  }
+
+  /**
+   * Spawn weights for the current level: the boss phase's / boss's weights
+   * during a fight, else the level pack's own weights if it has them,
+   * otherwise the catalog table (boss table during a boss fight).
+   */
+  currentSpawnWeights() {
+    if (this.isBossActive) {
+      const bossWeights = this.bossPhaseDef.weights || this.boss.weights;
+      if (bossWeights) return bossWeights;
+    }
+
+    const levelWeights = this.levelDef(this.level).weights;
+    if (levelWeights) return levelWeights;
+
+    const tables = this.itemCatalog.spawnTables[this.isBossActive ? 'boss' : 'normal'];
+    const table = tables
+      .filter(t => this.level >= (t.minLevel ?? 1) && this.level <= (t.maxLevel ?? Infinity))
+      .pop();
+
+    if (!table) throw new Error(`No spawn table for level ${this.level}`);
+    return table.weights;
+  }
+
+  /**
+   * Player's gun button: uses the roulette gun (or dev gun) if available.
+   */
+  fireGun(source = 'system') {
+    if (!this.isGameActive || this.isPaused) return;
+
+    const canUseGun = (this.hasGun || this.devGunMode) && !this.gunActive;
+    if (!canUseGun) return;
+
+    this.activateGun(source);
+    if (!this.devGunMode) {
+      this.hasGun = false;
+    }
+  }
+
+  activateGun(source = 'system') {
+    this.recordInput({ action: 'gun', source });
+    this.gunActive = true;
+    this.showFeedback("Auto Gun! 🔫", true);
+    this.emit('gunActivated', { source });
+
+    if (this.gunTimer) this.cancelTimer(this.gunTimer);
+
+    this.gunTimer = this.schedule(10000, () => {
+      this.gunActive = false;
+      this.gunLane = null;
+      this.showFeedback("Gun End", false);
+      this.gunTimer = null;
+      this.emit('gunExpired');
+    });
+  }
+
+  updateItems() {
+    const dt = GameCore.STEP_MS / 1000;
+    const speedFactor = this.powerUps.slowMo ? 0.5 : 1;
+
+    for (let i = this.items.length - 1; i >= 0; i--) {
+      const item = this.items[i];
+      item.prevY = item.y;
+
+      if (this.gunActive && item.y > 0) {
+        this.gunLane = item.lane;
+        this.fireBullet(item);
+        continue;
+      }
+
+      item.y += item.speed * speedFactor * dt;
+
+      if (this.powerUps.magnet) this.pullItem(item);
+
+      if (item.y > 500) {
+        this.emit('itemMissed', { item });
+        const def = this.itemCatalog.items[item.type];
+        if (def.onMiss) this.runItemEffect(def.onMiss, item, def);
+
+        if (def.missCostsLife) {
+          this.breakCombo();
+
+          // If invincible, do not count miss or update lives UI
+          if (!this.isInvincible) {
+            this.missedCount++;
+            this.showFeedback(`Missed!`);
+            this.emitLives();
+
+            if (this.missedCount >= this.maxMisses) {
+              this.stop(`Game Over!`, false, 'misses');
+              return;
+            }
+          }
+        }
+        this.items.splice(i, 1);
+      }
+    }
+  }
+
+  /**
+   * Magnet: fruit in a lane next to the basket slides into the basket's lane
+   * once it gets close.
+   */
+  pullItem(item) {
+    if (item.y < 300 || item.y > 420 || Math.abs(item.lane - this.playerPos) !== 1) return;
+    if (this.itemCatalog.items[item.type].onCatch !== 'score') return;
+
+    item.lane = this.playerPos;
+  }
+
+  fireBullet(item) {
+    if (item.isTargeted) return;
+    item.isTargeted = true;
+
+    this.renderEvents.push({ type: 'bullet', lane: item.lane, y: item.y });
+
+    this.schedule(200, () => {
+      const currentIdx = this.items.findIndex(it => it.id === item.id);
+      if (currentIdx !== -1) {
+        this.handleCollision(item, currentIdx, true);
+      }
+    });
+  }
+
+  checkCollisions() {
+    const playerTop = 420;
+    const playerBottom = 480;
+
+    for (let i = this.items.length - 1; i >= 0; i--) {
+      const item = this.items[i];
+      const itemBottom = item.y + 60;
+      const itemTop = item.y;
+
+      if (item.lane === this.playerPos) {
+        if (itemBottom > playerTop + 10 && itemTop < playerBottom - 10) {
+          this.handleCollision(item, i);
+          if (!this.isGameActive) return;
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {boolean} byGun - Shot down instead of caught in the basket
+   */
+  handleCollision(item, index, byGun = false) {
+    this.items.splice(index, 1);
+    this.emit('itemCaught', { item, byGun });
+
+    const def = this.itemCatalog.items[item.type];
+    this.runItemEffect(def.onCatch, item, def);
+  }
+
+  /**
+   * Item effects referenced by name from the item catalog (onCatch / onMiss).
+   */
+  runItemEffect(effect, item, def) {
+    switch (effect) {
+      case 'score': {
+        const multiplier = this.addCombo();
+        const points = item.score * multiplier;
+        this.addScore(points);
+        this.renderEvents.push({
+          type: 'popup',
+          lane: item.lane,
+          text: multiplier > 1 ? `+${points} (x${multiplier})` : `+${points}`,
+          color: multiplier > 1 ? '#ff9800' : '#ffeb3b'
+        });
+        break;
+      }
+      case 'damageBoss':
+        this.damageBoss();
+        this.showFeedback("ATTACK! 💥");
+        break;
+      case 'explode':
+        if (this.gunActive && !this.isInvincible) {
+          this.emit('bombHit', { item, result: 'shot' });
+          this.addScore(def.gunScore || 0);
+        } else if (this.isInvincible || this.useShield()) {
+          this.emit('bombHit', { item, result: 'blocked' });
+          this.showFeedback("🛡️ BLOCKED!");
+        } else {
+          this.emit('bombHit', { item, result: 'exploded' });
+          this.stop("BOMB! Game Over", false, 'bomb');
+        }
+        break;
+      case 'powerUp':
+        this.activatePowerUp(def.powerUp, def);
+        break;
+      case 'heal':
+        if (this.missedCount > 0) {
+          this.missedCount--;
+          this.showFeedback("❤️ +1");
+          this.emitLives();
+        } else {
+          this.showFeedback("❤️ FULL");
+        }
+        break;
+      default:
+        throw new Error(`Unknown item effect "${effect}" on "${item.type}"`);
+    }
+  }
+
+  /**
+   * Score multiplier for the current combo: x1, then +1 per tier reached.
+   */
+  get comboMultiplier() {
+    return 1 + GameCore.COMBO_TIERS.filter(tier => this.combo >= tier).length;
+  }
+
+  /**
+   * Counts one more catch in a row. Returns the multiplier for that catch.
+   */
+  addCombo() {
+    const before = this.comboMultiplier;
+    this.combo++;
+    this.maxCombo = Math.max(this.maxCombo, this.combo);
+
+    const multiplier = this.comboMultiplier;
+    if (multiplier > before) this.showFeedback(`COMBO x${multiplier}! 🔥`);
+    return multiplier;
+  }
+
+  breakCombo() {
+    this.combo = 0;
+  }
+
+  /**
+   * Starts a power-up, or stacks it by its catalog rule if it is already active.
+   */
+  activatePowerUp(rule, def) {
+    const active = this.powerUps[rule.name] || {
+      name: rule.name,
+      icon: def.visual.emoji || def.visual.fallback,
+      charges: 0,
+      endsAt: null,
+      timer: null
+    };
+
+    if (rule.charges) {
+      active.charges = Math.min(active.charges + rule.charges, rule.maxCharges || Infinity);
+    }
+
+    if (rule.duration) {
+      const timeLeft = active.endsAt !== null ? active.endsAt - this.clock : 0;
+      const duration = rule.stacking === 'extend'
+        ? Math.min(timeLeft + rule.duration, rule.maxDuration || Infinity)
+        : rule.duration;
+
+      if (active.timer) this.cancelTimer(active.timer);
+      active.endsAt = this.clock + duration;
+      active.timer = this.schedule(duration, () => this.endPowerUp(rule.name));
+    }
+
+    this.powerUps[rule.name] = active;
+    this.showFeedback(`${active.icon} ${rule.name.toUpperCase()}!`);
+  }
+
+  endPowerUp(name) {
+    const active = this.powerUps[name];
+    if (!active) return;
+    if (active.timer) this.cancelTimer(active.timer);
+    delete this.powerUps[name];
+  }
+
+  /**
+   * Ms left on a timed power-up (0 if inactive or charge-based).
+   */
+  powerUpTimeLeft(name) {
+    const active = this.powerUps[name];
+    return active && active.endsAt !== null ? Math.max(0, active.endsAt - this.clock) : 0;
+  }
+
+  /**
+   * Spends one shield charge. Returns false if there is no shield.
+   */
+  useShield() {
+    const shield = this.powerUps.shield;
+    if (!shield) return false;
+
+    shield.charges--;
+    if (shield.charges <= 0) this.endPowerUp('shield');
+    return true;
+  }
+
+  victory() {
+    this.isGameActive = false;
+    this.renderEvents.push({ type: 'bossDefeated', bossId: this.bossId });
+    this.endGame(true, 'victory', "VICTORY!");
+  }
+
+  /**
+   * Moves the basket to a lane (0 to laneCount-1). Ignores out-of-range lanes.
+   * @param {number} lane
+   * @param {string} source - Who moved: 'keyboard', 'pose', 'ai', ...
+   */
+  moveTo(lane, source = 'system') {
+    if (this.isPaused || !this.lanes.includes(lane) || lane === this.playerPos) return;
+    this.recordInput({ action: 'move', lane, source });
+    this.emit('laneChanged', { from: this.playerPos, to: lane, source });
+    this.playerPos = lane;
+  }
+
+  /**
+   * Logs an input with the step it happened after.
+   * Replays apply it at the same step, so the run plays out identically.
+   */
+  recordInput(entry) {
+    if (!this.recording || !this.isGameActive) return;
+    this.recording.inputs.push({ step: this.stepCount, t: Math.round(this.clock), ...entry });
+  }
+
+  /**
+   * Re-applies one recorded input (see recordInput).
+   */
+  applyInput(entry) {
+    switch (entry.action) {
+      case 'move':
+        this.moveTo(entry.lane, entry.source);
+        break;
+      case 'gun':
+        this.activateGun(entry.source);
+        break;
+      case 'stop':
+        // Older files logged only the message, as `reason`
+        if (entry.message === undefined) this.stop(entry.reason);
+        else this.stop(entry.message, false, entry.reason);
+        break;
+    }
+  }
+
+  /**
+   * Applies one player action from an InputController (see inputController.js).
+   * Keyboard, pose, AI and other devices all steer the game through here.
+   */
+  handleAction(action) {
+    if (!this.isGameActive) return;
+
+    switch (action.type) {
+      case 'moveToLane':
+        this.moveTo(action.lane, action.source);
+        break;
+      case 'fireGun':
+        this.fireGun(action.source);
+        break;
+      case 'pause':
+        this.togglePause('manual');
+        break;
+    }
+  }
+
+  addScore(points) {
+    this.score += points;
+    const newLevel = this.levelForScore(this.score);
+
+    if (newLevel > this.level) {
+      const previous = this.level;
+      this.level = newLevel;
+      this.levelSpawnCounts = {};
+
+      // PVP: Usually reset Level for both? Or keep leveling up independently?
+      // Independent level up is fun.
+      const levelDef = this.levelDef(this.level);
+      this.timeLimit = levelDef.timeLimit;
+      this.emit('levelUp', { level: this.level, previous });
+
+      // Every boss level passed on the way gets its fight, even when several levels
+      // go by at once or a fight is already on (defeatBoss starts the next one)
+      for (let level = previous + 1; level <= Math.min(this.level, this.levelPack.levels.length); level++) {
+        const bossId = this.levelDef(level).boss;
+        if (bossId) this.pendingBosses.push(bossId);
+      }
+      if (this.isBossActive) {
+        // Wait for the current fight to end
+      } else if (this.pendingBosses.length > 0) {
+        this.startBossFight(this.pendingBosses.shift());
+      } else {
+        this.triggerLevelTransition(levelDef, `LEVEL UP!`);
+      }
+    }
+
+    this.emit('scoreChanged', { score: this.score, level: this.level });
+  }
+
+  showFeedback(text, persist = false, isVictory = false) {
+    this.renderEvents.push({ type: 'feedback', text, persist, isVictory });
+  }
+
+  /**
+   * Returns and clears the pending render events.
+   */
+  drainRenderEvents() {
+    const events = this.renderEvents;
+    this.renderEvents = [];
+    return events;
+  }
+
+}
+
+window.GameCore = GameCore;
@@ -0,0 +1,435 @@
+/**
+ * gameRenderer.js
+ * Draws a GameCore state into the game DOM
+ *
+ * The renderer never changes game rules. Every frame it syncs item, player,
+ * boss and HUD elements with the core state, then plays the core's queued
+ * one-shot events (feedback text, score popups, bullets, boss hits).
+ */
+
+class GameRenderer {
+  constructor(rootElement) {
+    this.root = rootElement || document; // Scope
+
+    // UI Elements (Scoped)
+    // We expect the root to contain these classes/IDs.
+    // Adapting for both Single (ID based in HTML) and PVP (Class based?)
+    // Strategy: Try querySelector argument, fallback to ID.
+
+    this.container = this.root.querySelector('.game-board') || this.root.getElementById('game-container');
+    this.playerElement = this.root.querySelector('.player') || this.root.getElementById('player');
+    this.feedbackElement = this.root.querySelector('.feedback-overlay') || this.root.getElementById('feedback-overlay');
+    this.scoreElement = this.root.querySelector('.score-value') || this.root.getElementById('score');
+    this.timeElement = this.root.querySelector('.time-value') || this.root.getElementById('time');
+    this.comboElement = this.root.querySelector('.combo-value') || this.root.getElementById('combo');
+    this.multiplierElement = this.root.querySelector('.multiplier-value') || this.root.getElementById('multiplier');
+    this.livesContainer = this.root.querySelector('.lives-container') || this.root.getElementById('lives-container');
+    this.powerUpElement = this.root.querySelector('.powerup-hud') || this.root.getElementById('powerup-hud');
+
+    this.laneCount = null; // Lane strips currently on the board (null = static markup)
+    this.itemElements = new Map(); // item id -> element
+    this.bossElements = null;
+    this.gunElement = null;
+    this.feedbackTimer = null;
+  }
+
+  /**
+   * Clears everything left over from a previous game.
+   */
+  reset() {
+    // Query the board (not our own refs) so leftovers from an earlier renderer go too
+    const leftovers = this.container.querySelectorAll('.item, .boss-container, .gun');
+    leftovers.forEach(el => el.remove());
+    this.itemElements.clear();
+    this.bossElements = null;
+    this.gunElement = null;
+
+    if (this.feedbackElement) {
+      this.feedbackElement.style.opacity = 0;
+      this.feedbackElement.style.color = '';
+      this.feedbackElement.style.fontSize = '';
+    }
+  }
+
+  laneCenter(lane) {
+    const laneWidth = 100 / (this.laneCount || 3);
+    return lane * laneWidth + laneWidth / 2;
+  }
+
+  lerp(from, to, alpha) {
+    return from + (to - from) * alpha;
+  }
+
+  /**
+   * @param {GameCore} game
+   * @param {number} alpha - 0-1 position between the last two simulation steps
+   */
+  render(game, alpha = 1) {
+    this.renderLanes(game);
+    this.renderPlayer(game);
+    this.renderScore(game);
+    this.renderTime(game);
+    this.renderCombo(game);
+    this.renderLives(game);
+    this.renderPowerUps(game);
+    this.renderBoss(game, alpha);
+    this.renderTelegraph(game);
+    this.renderGun(game);
+    this.renderItems(game, alpha);
+
+    game.drainRenderEvents().forEach(event => this.playEvent(event));
+  }
+
+  /**
+   * Rebuilds the lane strips when the board's lane count changes.
+   */
+  renderLanes(game) {
+    if (this.laneCount === game.laneCount) return;
+    this.laneCount = game.laneCount;
+
+    this.container.querySelectorAll('.lane').forEach(el => el.remove());
+
+    const firstChild = this.container.firstChild;
+    game.laneLayout.poses.forEach((pose, i) => {
+      const lane = document.createElement('div');
+      lane.classList.add('lane');
+      lane.dataset.lane = i;
+      lane.style.width = (100 / game.laneCount) + '%';
+
+      const label = document.createElement('div');
+      label.classList.add('lane-label');
+      label.textContent = pose;
+      lane.appendChild(label);
+
+      this.container.insertBefore(lane, firstChild);
+    });
+  }
+
+  renderPlayer(game) {
+    if (!this.playerElement) return;
+    const leftPercent = this.laneCenter(game.playerPos);
+    this.playerElement.style.left = `calc(${leftPercent}% - 40px)`;
+  }
+
+  renderScore(game) {
+    if (this.scoreElement) this.scoreElement.textContent = game.score;
+  }
+
+  renderTime(game) {
+    if (this.timeElement) this.timeElement.textContent = game.timeLimit;
+  }
+
+  renderCombo(game) {
+    if (this.comboElement) this.comboElement.textContent = game.combo;
+    if (this.multiplierElement) {
+      const multiplier = game.comboMultiplier;
+      this.multiplierElement.textContent = `x${multiplier}`;
+      this.multiplierElement.classList.toggle('boosted', multiplier > 1);
+    }
+  }
+
+  renderLives(game) {
+    if (!this.livesContainer) return;
+    const remaining = Math.max(0, game.maxMisses - game.missedCount);
+    let hearts = "";
+    for (let i = 0; i < remaining; i++) {
+      hearts += "❤️";
+    }
+    if (this.livesContainer.textContent !== hearts) {
+      this.livesContainer.textContent = hearts;
+    }
+  }
+
+  /**
+   * Active power-ups: shield shows its charges, timed ones a countdown.
+   */
+  renderPowerUps(game) {
+    if (!this.powerUpElement) return;
+
+    const text = Object.values(game.powerUps).map(active => {
+      if (active.endsAt === null) return `${active.icon}x${active.charges}`;
+      return `${active.icon}${Math.ceil(game.powerUpTimeLeft(active.name) / 1000)}s`;
+    }).join(' ');
+
+    if (this.powerUpElement.textContent !== text) {
+      this.powerUpElement.textContent = text;
+    }
+  }
+
+  renderItems(game, alpha = 1) {
+    const alive = new Set();
+
+    game.items.forEach(item => {
+      alive.add(item.id);
+      let itemEl = this.itemElements.get(item.id);
+      if (!itemEl) {
+        itemEl = this.createItemElement(item, game.itemCatalog.items[item.type].visual);
+        this.itemElements.set(item.id, itemEl);
+      }
+      itemEl.style.top = this.lerp(item.prevY, item.y, alpha) + 'px';
+      if (itemEl.dataset.lane !== String(item.lane)) {
+        // Pulled sideways by the magnet
+        itemEl.dataset.lane = item.lane;
+        itemEl.style.left = this.laneCenter(item.lane) + '%';
+      }
+    });
+
+    // Caught, missed or shot items are gone from the core
+    this.itemElements.forEach((el, id) => {
+      if (!alive.has(id)) {
+        el.remove();
+        this.itemElements.delete(id);
+      }
+    });
+  }
+
+  createItemElement(item, visual) {
+    const itemEl = document.createElement('div');
+    itemEl.classList.add('item');
+
+    itemEl.dataset.lane = item.lane;
+    itemEl.style.left = this.laneCenter(item.lane) + '%';
+    itemEl.style.transform = 'translateX(-50%)';
+    itemEl.style.top = item.y + 'px';
+
+    this.fillVisual(itemEl, visual);
+    this.container.appendChild(itemEl);
+    return itemEl;
+  }
+
+  /**
+   * Puts an item / boss visual ({ emoji } or { image, fallback }) into an element.
+   */
+  fillVisual(el, visual) {
+    if (visual.image) {
+      const fallback = visual.fallback || visual.emoji || '';
+      // Built as an element: catalog/pack strings never go through innerHTML
+      const img = document.createElement('img');
+      img.alt = fallback;
+      img.style.width = '100%';
+      img.style.height = '100%';
+      img.style.objectFit = 'contain';
+      img.onerror = () => { el.textContent = fallback; };
+      img.src = visual.image;
+      el.replaceChildren(img);
+    } else {
+      el.textContent = visual.emoji;
+    }
+    if (visual.fontSize) el.style.fontSize = visual.fontSize;
+  }
+
+  renderBoss(game, alpha = 1) {
+    if (!game.isBossActive || !game.bossEntity) return;
+
+    // A new id with elements still up = a queued boss started as the last one fell;
+    // the old elements are left to showBossDefeated
+    if (!this.bossElements || this.bossElements.bossId !== game.bossId) {
+      this.bossElements = this.createBossElements(game.boss, game.bossId);
+    }
+
+    const hpPercent = (game.bossHP / game.bossMaxHP * 100);
+    this.bossElements.hpBar.style.width = Math.max(0, hpPercent) + '%';
+
+    const phaseText = game.boss.phases.length > 1 ? ` · Phase ${game.bossPhase + 1}` : '';
+    const label = `${game.boss.name || ''}${phaseText}`;
+    if (this.bossElements.label.textContent !== label) this.bossElements.label.textContent = label;
+    if (game.isGameActive) {
+      this.bossElements.container.style.left = this.lerp(game.bossEntity.prevX, game.bossEntity.x, alpha) + '%';
+    }
+  }
+
+  createBossElements(boss, bossId) {
+    const bossContainer = document.createElement('div');
+    bossContainer.classList.add('boss-container'); // Use class
+    bossContainer.dataset.bossId = bossId;
+    bossContainer.style.position = 'absolute';
+    bossContainer.style.top = '10px';
+    bossContainer.style.left = '50%';
+    bossContainer.style.transform = 'translateX(-50%)';
+    bossContainer.style.width = '300px';
+    bossContainer.style.textAlign = 'center';
+    bossContainer.style.zIndex = '10';
+
+    const label = document.createElement('div');
+    label.classList.add('boss-label');
+    bossContainer.appendChild(label);
+
+    const hpBar = document.createElement('div');
+    hpBar.style.width = '100%';
+    hpBar.style.height = '20px';
+    hpBar.style.backgroundColor = 'red';
+    hpBar.style.border = '2px solid white';
+    hpBar.style.marginBottom = '5px';
+    hpBar.style.transition = 'width 0.2s';
+    bossContainer.appendChild(hpBar);
+
+    const sprite = document.createElement('div');
+    sprite.style.fontSize = '80px';
+    sprite.style.height = '100px';
+    this.fillVisual(sprite, boss.sprite);
+    bossContainer.appendChild(sprite);
+
+    this.container.appendChild(bossContainer);
+
+    return { bossId, container: bossContainer, hpBar, label, sprite };
+  }
+
+  /**
+   * Flashes the lanes a boss attack is about to hit.
+   */
+  renderTelegraph(game) {
+    const lanes = game.bossTelegraph ? game.bossTelegraph.lanes : [];
+    this.container.querySelectorAll('.lane').forEach(el => {
+      el.classList.toggle('telegraph', lanes.includes(Number(el.dataset.lane)));
+    });
+  }
+
+  renderGun(game) {
+    if (!game.gunActive) {
+      if (this.gunElement) {
+        this.gunElement.remove();
+        this.gunElement = null;
+      }
+      return;
+    }
+
+    if (!this.gunElement) {
+      this.gunElement = document.createElement('div');
+      this.gunElement.classList.add('gun');
+      this.gunElement.textContent = "🔫";
+      this.gunElement.style.position = "absolute";
+      this.gunElement.style.fontSize = "30px";
+      this.gunElement.style.bottom = "20px";
+      this.gunElement.style.zIndex = "20";
+      this.gunElement.style.transition = "left 0.1s linear";
+      this.gunElement.style.left = "50%";
+      this.gunElement.style.transform = "translateX(-50%)";
+      this.container.appendChild(this.gunElement);
+    }
+
+    if (game.gunLane !== null) {
+      this.gunElement.style.left = `calc(${this.laneCenter(game.gunLane)}% - 15px)`;
+    }
+  }
+
+  playEvent(event) {
+    switch (event.type) {
+      case 'feedback':
+        this.showFeedback(event.text, event.persist, event.isVictory);
+        break;
+      case 'popup':
+        this.showPopup(event);
+        break;
+      case 'bullet':
+        this.showBullet(event);
+        break;
+      case 'bossHit':
+        this.showBossHit(event);
+        break;
+      case 'bossDefeated':
+        this.showBossDefeated(event);
+        break;
+    }
+  }
+
+  showFeedback(text, persist = false, isVictory = false) {
+    if (!this.feedbackElement) return;
+    this.feedbackElement.textContent = text;
+    this.feedbackElement.style.opacity = 1;
+
+    if (isVictory) {
+      this.feedbackElement.style.color = "#4CAF50";
+      this.feedbackElement.style.fontSize = "40px";
+    }
+
+    if (this.feedbackTimer) clearTimeout(this.feedbackTimer);
+    this.feedbackTimer = null;
+    if (!persist) {
+      this.feedbackTimer = setTimeout(() => {
+        this.feedbackElement.style.opacity = 0;
+      }, 1000);
+    }
+  }
+
+  showPopup({ lane, text, color }) {
+    const popup = document.createElement('div');
+    popup.textContent = text;
+    popup.style.position = 'absolute';
+    popup.style.left = this.laneCenter(lane) + '%';
+    popup.style.top = '400px';
+    popup.style.color = color;
+    popup.style.fontWeight = 'bold';
+    popup.style.fontSize = '24px';
+    popup.style.transition = 'top 0.5s, opacity 0.5s';
+    this.container.appendChild(popup);
+
+    setTimeout(() => {
+      popup.style.top = '350px';
+      popup.style.opacity = '0';
+    }, 50);
+
+    setTimeout(() => popup.remove(), 550);
+  }
+
+  showBullet({ lane, y }) {
+    const laneLeft = `calc(${this.laneCenter(lane)}% - 10px)`;
+
+    const bullet = document.createElement('div');
+    bullet.textContent = '📍';
+    bullet.style.position = 'absolute';
+    bullet.style.fontSize = '20px';
+    bullet.style.left = this.gunElement ? this.gunElement.style.left : laneLeft;
+    bullet.style.bottom = '50px';
+    bullet.style.zIndex = '15';
+    bullet.style.transition = 'bottom 0.2s linear, left 0.2s linear';
+    this.container.appendChild(bullet);
+
+    requestAnimationFrame(() => {
+      bullet.style.left = laneLeft;
+      bullet.style.bottom = (500 - y) + 'px';
+    });
+
+    setTimeout(() => bullet.remove(), 200);
+  }
+
+  showBossHit({ bossId, amount }) {
+    if (!this.bossElements || this.bossElements.bossId !== bossId) return;
+    const { container, sprite } = this.bossElements;
+
+    sprite.style.opacity = 0.5;
+    setTimeout(() => sprite.style.opacity = 1, 100);
+
+    const dmgText = document.createElement('div');
+    dmgText.textContent = `💥 -${amount}`;
+    dmgText.style.position = 'absolute';
+    dmgText.style.top = '0';
+    dmgText.style.left = '50%';
+    dmgText.style.transform = 'translateX(-50%)';
+    dmgText.style.color = 'red';
+    dmgText.style.fontSize = '30px';
+    dmgText.style.fontWeight = 'bold';
+    dmgText.style.textShadow = '0 0 5px white';
+    dmgText.style.transition = 'top 0.5s, opacity 0.5s';
+    container.appendChild(dmgText);
+
+    setTimeout(() => {
+      dmgText.style.top = '-50px';
+      dmgText.style.opacity = 0;
+    }, 50);
+    setTimeout(() => dmgText.remove(), 550);
+  }
+
+  showBossDefeated({ bossId }) {
+    const container = [...this.container.querySelectorAll('.boss-container')]
+      .find(el => el.dataset.bossId === bossId);
+    if (!container) return;
+    delete container.dataset.bossId;
+    container.textContent = "💥";
+    setTimeout(() => container.remove(), 1000);
+
+    // A mid-boss is followed by the next one later; let it build fresh elements
+    if (this.bossElements && this.bossElements.container === container) this.bossElements = null;
+  }
+}
+
+window.GameRenderer = GameRenderer;
@@ -0,0 +1,117 @@
+/**
+ * gamepadInput.js
+ * Gamepad API input source
+ *
+ * Polls a controller every animation frame (the Gamepad API has no button
+ * events) and turns it into actions:
+ *   left stick  snaps to a lane by position: left / center / right (center = stick at rest)
+ *   D-pad       one lane left / right per press
+ *   A / Cross   fire the gun
+ *   Start       pause
+ * Button numbers follow the browser's "standard" gamepad mapping.
+ */
+
+class GamepadSource extends InputSource {
+  static DEADZONE = 0.35; // Stick travel ignored around the center
+
+  static BUTTONS = {
+    gun: [0], // A / Cross
+    pause: [9], // Start / Options
+    left: [14], // D-pad left
+    right: [15] // D-pad right
+  };
+
+  /**
+   * @param {Object} options - { index: gamepad index (default: first connected),
+   *                             deadzone, buttons: overrides for BUTTONS }
+   */
+  constructor({ index = null, deadzone = GamepadSource.DEADZONE, buttons = {} } = {}) {
+    super('gamepad');
+    this.index = index;
+    this.deadzone = deadzone;
+    this.buttons = { ...GamepadSource.BUTTONS, ...buttons };
+    this.pressed = {}; // Button group -> held at the last poll (presses fire once)
+    this.stickLane = null; // Lane the stick pointed at, last poll
+    this.frameId = null;
+  }
+
+  /**
+   * The controller this source reads, or null if none is connected.
+   */
+  get gamepad() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+    if (this.index === null) return pads[0] || null;
+    return pads.find(pad => pad.index === this.index) || null;
+  }
+
+  connect() {
+    this.pressed = {};
+    this.stickLane = null;
+    this.poll();
+  }
+
+  disconnect() {
+    cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  poll() {
+    const pad = this.gamepad;
+    if (pad && this.engine) {
+      this.pollButtons(pad);
+      this.pollStick(pad);
+    }
+    this.frameId = requestAnimationFrame(() => this.poll());
+  }
+
+  pollButtons(pad) {
+    Object.entries(this.buttons).forEach(([name, indexes]) => {
+      const down = indexes.some(i => pad.buttons[i] && pad.buttons[i].pressed);
+      if (down && !this.pressed[name]) this.onPress(name);
+      this.pressed[name] = down;
+    });
+  }
+
+  onPress(name) {
+    switch (name) {
+      case 'gun':
+        this.emit('fireGun');
+        break;
+      case 'pause':
+        this.emit('pause');
+        break;
+      case 'left':
+      case 'right': {
+        const lane = this.engine.playerPos + (name === 'left' ? -1 : 1);
+        if (lane >= 0 && lane < this.engine.laneCount) this.emit('moveToLane', { lane });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Moves only when the stick points at a different lane than last poll,
+   * so a resting stick doesn't fight the D-pad.
+   */
+  pollStick(pad) {
+    const lane = GamepadSource.snapLane(pad.axes[0] || 0, this.engine.laneCount, this.deadzone);
+    if (lane === this.stickLane) return;
+
+    this.stickLane = lane;
+    if (lane !== null) this.emit('moveToLane', { lane });
+  }
+
+  /**
+   * Lane for a stick x position (-1..1). Inside the deadzone: the center lane,
+   * or null on an even lane count (no center lane).
+   */
+  static snapLane(x, laneCount, deadzone = GamepadSource.DEADZONE) {
+    if (Math.abs(x) < deadzone) {
+      return laneCount % 2 === 1 ? (laneCount - 1) / 2 : null;
+    }
+    const lane = Math.floor((x + 1) / 2 * laneCount);
+    return Math.min(Math.max(lane, 0), laneCount - 1);
+  }
+}
+
+window.GamepadSource = GamepadSource;
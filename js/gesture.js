@@ -0,0 +1,63 @@
+/**
+ * gesture.js
+ * 포즈 키포인트로 특수 동작(제스처)을 감지
+ *
+ * 분류 모델(왼쪽/가운데/오른쪽)과 별개로, PoseNet 키포인트 좌표만 보고 판단
+ */
+
+class HandsUpGesture {
+  constructor(options = {}) {
+    this.holdMs = options.holdMs || 800; // 이 시간 이상 유지해야 인정
+    this.minConfidence = options.minConfidence || 0.5; // 키포인트 최소 신뢰도
+    this.raisedSince = null; // 두 손을 든 시각
+    this.fired = false; // 손을 내리기 전까지 한 번만 발동
+  }
+
+  /**
+   * 새 포즈 입력
+   * @param {Object} pose - PoseNet 포즈 { keypoints: [{ part, position, score }] }
+   * @param {number} now - 현재 시각(ms)
+   * @returns {boolean} 제스처가 이번에 완성되었으면 true
+   */
+  update(pose, now = performance.now()) {
+    if (!this.isHandsUp(pose)) {
+      this.raisedSince = null;
+      this.fired = false;
+      return false;
+    }
+
+    if (this.raisedSince === null) this.raisedSince = now;
+
+    if (!this.fired && now - this.raisedSince >= this.holdMs) {
+      this.fired = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * 두 손목이 모두 코보다 위에 있는지 (화면 좌표는 아래로 갈수록 y 증가)
+   */
+  isHandsUp(pose) {
+    if (!pose || !pose.keypoints) return false;
+
+    const find = (part) => pose.keypoints.find(k => k.part === part && k.score >= this.minConfidence);
+    const nose = find("nose");
+    const leftWrist = find("leftWrist");
+    const rightWrist = find("rightWrist");
+
+    if (!nose || !leftWrist || !rightWrist) return false;
+    return leftWrist.position.y < nose.position.y && rightWrist.position.y < nose.position.y;
+  }
+
+  /**
+   * 상태 초기화
+   */
+  reset() {
+    this.raisedSince = null;
+    this.fired = false;
+  }
+}
+
+// 전역으로 내보내기
+window.HandsUpGesture = HandsUpGesture;
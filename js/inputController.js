@@ -0,0 +1,203 @@
+/**
+ * inputController.js
+ * Device-independent player input
+ *
+ * Input sources (keyboard, pose, AI, ...) turn device events into abstract
+ * actions and send them to an InputController. Each player has one controller,
+ * bound to that player's engine; the engine only ever sees actions
+ * (GameCore.handleAction). Any source can be bound to any player, and several
+ * sources can drive the same player.
+ *
+ * Actions:
+ *   { type: 'moveToLane', lane, source }
+ *   { type: 'fireGun', source }
+ *   { type: 'pause', source }
+ */
+
+class InputController {
+  static ACTIONS = ['moveToLane', 'fireGun', 'pause'];
+
+  /**
+   * @param {GameCore} engine - Player this controller steers
+   * @param {Object} options - { onPause: fn(action) } to handle pause outside the engine
+   *                           (e.g. pause both boards in PVP). Default: the engine pauses itself.
+   */
+  constructor(engine, { onPause = null } = {}) {
+    this.engine = engine;
+    this.onPause = onPause;
+    this.sources = [];
+  }
+
+  /**
+   * Connects a source to this player (taking it away from its previous player).
+   * Returns the source.
+   */
+  bind(source) {
+    if (source.controller) source.controller.unbind(source);
+    this.sources.push(source);
+    source.attach(this);
+    return source;
+  }
+
+  unbind(source) {
+    if (!this.sources.includes(source)) return;
+    this.sources = this.sources.filter(s => s !== source);
+    source.detach();
+  }
+
+  unbindAll() {
+    this.sources.slice().forEach(source => this.unbind(source));
+  }
+
+  dispatch(action) {
+    if (!InputController.ACTIONS.includes(action.type)) {
+      throw new Error(`Unknown input action "${action.type}"`);
+    }
+
+    if (action.type === 'pause' && this.onPause) {
+      this.onPause(action);
+      return;
+    }
+    this.engine.handleAction(action);
+  }
+}
+
+/**
+ * Base class for input sources. Subclasses hook their device in connect()
+ * and unhook it in disconnect(), and call emit() with actions.
+ */
+class InputSource {
+  /**
+   * @param {string} name - Recorded as the action source ('keyboard', 'pose', 'ai', ...)
+   */
+  constructor(name) {
+    this.name = name;
+    this.controller = null;
+  }
+
+  attach(controller) {
+    this.controller = controller;
+    this.connect();
+  }
+
+  detach() {
+    this.disconnect();
+    this.controller = null;
+  }
+
+  connect() {}
+
+  disconnect() {}
+
+  /**
+   * Engine of the bound player (null when unbound)
+   */
+  get engine() {
+    return this.controller ? this.controller.engine : null;
+  }
+
+  emit(type, detail = {}) {
+    if (!this.controller) return;
+    this.controller.dispatch({ type, ...detail, source: this.name });
+  }
+}
+
+/**
+ * Keyboard. Lane keys follow the engine's lane layout (A/S/D on 3 lanes, A-G on 5)
+ * unless a key map gives its own, so each player can have their own keys.
+ */
+class KeyboardSource extends InputSource {
+  static DEFAULT_KEYS = {
+    lanes: null, // null = the lane layout's keys
+    left: [], // One lane left / right of the basket
+    right: [],
+    gun: ['w', 'ㅈ'],
+    pause: ['p', 'ㅔ', 'escape']
+  };
+
+  // Second player on the same keyboard: J/K/L (layout p2Keys), I to fire, or the arrow keys
+  static P2_KEYS = {
+    lanes: layout => layout.p2Keys,
+    left: ['arrowleft'],
+    right: ['arrowright'],
+    gun: ['i', 'ㅑ', 'arrowup'],
+    pause: []
+  };
+
+  /**
+   * @param {Object} keys - { lanes: [[key, ...] per lane] | fn(layout) -> lanes | null,
+   *                          left, right, gun, pause: [key, ...] } (all lower case)
+   */
+  constructor(keys = {}, target = window) {
+    super('keyboard');
+    this.keys = { ...KeyboardSource.DEFAULT_KEYS, ...keys };
+    this.target = target;
+    this.handleKeyDown = (e) => this.onKeyDown(e);
+  }
+
+  connect() {
+    this.target.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  disconnect() {
+    this.target.removeEventListener('keydown', this.handleKeyDown);
+  }
+
+  onKeyDown(e) {
+    const key = e.key.toLowerCase();
+    const isOurs = Object.values(this.keys).some(keys => Array.isArray(keys) && keys.includes(key));
+    if (isOurs && key.startsWith('arrow')) e.preventDefault(); // Arrow keys would scroll the page
+
+    if (this.keys.pause.includes(key)) {
+      this.emit('pause');
+      return;
+    }
+    if (this.keys.gun.includes(key)) {
+      this.emit('fireGun');
+      return;
+    }
+    if (this.keys.left.includes(key) || this.keys.right.includes(key)) {
+      const lane = this.engine.playerPos + (this.keys.left.includes(key) ? -1 : 1);
+      if (lane >= 0 && lane < this.engine.laneCount) this.emit('moveToLane', { lane });
+      return;
+    }
+
+    const lanes = typeof this.keys.lanes === 'function' ? this.keys.lanes(this.engine.laneLayout) : this.keys.lanes;
+    const lane = lanes
+      ? lanes.findIndex(keys => keys.includes(key))
+      : laneForKey(this.engine.laneLayout, key);
+    if (lane !== -1) this.emit('moveToLane', { lane });
+  }
+}
+
+/**
+ * Pose classifier output. Feed it the stabilized class name (and the raw pose
+ * for the hands-up pause gesture) on every prediction.
+ */
+class PoseSource extends InputSource {
+  /**
+   * @param {Object} options - { pauseGesture: HandsUpGesture } (optional)
+   */
+  constructor({ pauseGesture = null } = {}) {
+    super('pose');
+    this.pauseGesture = pauseGesture;
+  }
+
+  feed(className, pose) {
+    if (!this.controller) return;
+
+    if (this.pauseGesture && this.pauseGesture.update(pose)) {
+      this.emit('pause');
+      return;
+    }
+    if (!className) return;
+
+    const lane = laneForPose(this.engine.laneLayout, className);
+    if (lane !== -1) this.emit('moveToLane', { lane });
+  }
+}
+
+window.InputController = InputController;
+window.InputSource = InputSource;
+window.KeyboardSource = KeyboardSource;
+window.PoseSource = PoseSource;
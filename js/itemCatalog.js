@@ -0,0 +1,176 @@
+/**
+ * itemCatalog.js
+ * Falling item registry
+ *
+ * Add a new fruit by adding an entry to `items` and giving it a weight in a
+ * spawn table; no engine code changes needed. The same shape can be loaded
+ * from JSON and passed to GameCore via start({ itemCatalog }).
+ *
+ * Item fields:
+ *   visual        { emoji } or { image, fallback } (+ optional fontSize)
+ *   score         points for a catch (before any effect)
+ *   onCatch       effect name run when caught or shot (see GameCore.runItemEffect)
+ *   onMiss        effect name run when it falls off the board (null = nothing)
+ *   missCostsLife true if letting it fall counts as a missed fruit
+ *   maxPerLevel   optional spawn cap per level; extra rolls become `overflowItem`
+ *   lookalike     optional item it can be mistaken for at a glance (the AI misjudges with it)
+ *   powerUp       for onCatch 'powerUp': { name, duration, stacking, maxDuration, charges, maxCharges }
+ *
+ * Power-up stacking (catching one that is already active):
+ *   charges  adds `charges` (up to maxCharges); lasts until used, no timer
+ *   refresh  countdown restarts at `duration`
+ *   extend   `duration` is added to the time left (up to maxDuration)
+ *
+ * Spawn tables: the last table whose level range (minLevel..maxLevel, maxLevel
+ * optional) contains the current level wins. `boss` is used during a boss fight.
+ * Items with weight only in boss attacks (e.g. fireball) need no table entry.
+ */
+
+const ITEM_CATALOG = {
+  items: {
+    apple: {
+      visual: { emoji: '🍎' },
+      score: 100,
+      onCatch: 'score',
+      onMiss: null,
+      missCostsLife: true,
+      lookalike: 'bomb' // Round and dark-rimmed when small
+    },
+    banana: {
+      visual: { emoji: '🍌' },
+      score: 200,
+      onCatch: 'score',
+      onMiss: null,
+      missCostsLife: true
+    },
+    dragon: {
+      visual: { image: 'assets/dragon_fruit.svg', fallback: '🐉' },
+      score: 300,
+      onCatch: 'score',
+      onMiss: null,
+      missCostsLife: true
+    },
+    bomb: {
+      visual: { emoji: '💣' },
+      score: 0,
+      gunScore: 200, // Destroyed while the gun is active
+      onCatch: 'explode',
+      onMiss: null,
+      missCostsLife: false,
+      maxPerLevel: 5,
+      overflowItem: 'apple',
+      lookalike: 'apple'
+    },
+    rocket: {
+      visual: { emoji: '🚀', fontSize: '40px' },
+      score: 0,
+      onCatch: 'damageBoss',
+      onMiss: null,
+      missCostsLife: false,
+      lookalike: 'fireball' // Both are boss-fight projectiles
+    },
+    fireball: {
+      visual: { emoji: '🔥' },
+      score: 0,
+      gunScore: 100, // Shot down while the gun is active
+      onCatch: 'explode',
+      onMiss: null,
+      missCostsLife: false,
+      lookalike: 'rocket'
+    },
+    shield: {
+      visual: { emoji: '🛡️' },
+      score: 0,
+      onCatch: 'powerUp',
+      powerUp: { name: 'shield', charges: 1, maxCharges: 3 }, // One blocked bomb per charge
+      onMiss: null,
+      missCostsLife: false,
+      maxPerLevel: 2,
+      overflowItem: 'apple'
+    },
+    magnet: {
+      visual: { emoji: '🧲' },
+      score: 0,
+      onCatch: 'powerUp',
+      powerUp: { name: 'magnet', duration: 8000, stacking: 'refresh' },
+      onMiss: null,
+      missCostsLife: false,
+      maxPerLevel: 2,
+      overflowItem: 'apple'
+    },
+    slowMo: {
+      visual: { emoji: '⏳' },
+      score: 0,
+      onCatch: 'powerUp',
+      powerUp: { name: 'slowMo', duration: 5000, stacking: 'extend', maxDuration: 10000 },
+      onMiss: null,
+      missCostsLife: false,
+      maxPerLevel: 2,
+      overflowItem: 'apple'
+    },
+    heart: {
+      visual: { emoji: '💖' },
+      score: 0,
+      onCatch: 'heal',
+      onMiss: null,
+      missCostsLife: false,
+      maxPerLevel: 1,
+      overflowItem: 'apple'
+    }
+  },
+
+  spawnTables: {
+    normal: [
+      { minLevel: 1, weights: { apple: 50, banana: 30, dragon: 10, bomb: 10, shield: 2, magnet: 2, slowMo: 2, heart: 2 } }
+    ],
+    boss: [
+      { minLevel: 1, weights: { rocket: 30, bomb: 30, apple: 20, banana: 12, dragon: 8, shield: 3, slowMo: 3, heart: 2 } }
+    ]
+  }
+};
+
+/**
+ * Checks a catalog for typos before a game starts.
+ * Throws an Error naming the broken entry.
+ */
+function validateItemCatalog(catalog) {
+  if (!catalog || !catalog.items || !catalog.spawnTables) {
+    throw new Error("Item catalog needs `items` and `spawnTables`");
+  }
+
+  Object.entries(catalog.items).forEach(([type, item]) => {
+    if (!item.visual || (!item.visual.emoji && !item.visual.image)) {
+      throw new Error(`Item "${type}" needs visual.emoji or visual.image`);
+    }
+    if (!item.onCatch) {
+      throw new Error(`Item "${type}" needs an onCatch effect`);
+    }
+    if (item.onCatch === 'powerUp' && (!item.powerUp || !item.powerUp.name)) {
+      throw new Error(`Item "${type}" needs powerUp.name`);
+    }
+    if (item.powerUp && !item.powerUp.duration && !item.powerUp.charges) {
+      throw new Error(`Power-up "${type}" needs a duration or charges`);
+    }
+    if (item.overflowItem && !catalog.items[item.overflowItem]) {
+      throw new Error(`Item "${type}" overflows into unknown item "${item.overflowItem}"`);
+    }
+    if (item.lookalike && !catalog.items[item.lookalike]) {
+      throw new Error(`Item "${type}" looks like unknown item "${item.lookalike}"`);
+    }
+  });
+
+  Object.entries(catalog.spawnTables).forEach(([mode, tables]) => {
+    tables.forEach(table => {
+      Object.keys(table.weights).forEach(type => {
+        if (!catalog.items[type]) {
+          throw new Error(`Spawn table "${mode}" uses unknown item "${type}"`);
+        }
+      });
+    });
+  });
+
+  return catalog;
+}
+
+window.ITEM_CATALOG = ITEM_CATALOG;
+window.validateItemCatalog = validateItemCatalog;
@@ -0,0 +1,95 @@
+/**
+ * laneLayout.js
+ * Lane count presets (2-5 lanes)
+ *
+ * One entry per supported lane count. Lanes are numbered 0..count-1 from the
+ * left; `poses` and `keys` are listed in the same order.
+ *
+ * Layout fields:
+ *   poses   pose class name that moves the basket to each lane (also the lane label)
+ *   keys    keyboard keys for each lane ([latin, hangul] so the Korean layout works too)
+ *   p2Keys  second player's lane keys when two people share one keyboard
+ */
+
+const MIN_LANES = 2;
+const MAX_LANES = 5;
+
+const LANE_LAYOUTS = {
+  2: {
+    poses: ['Left', 'Right'],
+    keys: [['a', 'ㅁ'], ['d', 'ㅇ']],
+    p2Keys: [['j', 'ㅓ'], ['l', 'ㅣ']]
+  },
+  3: {
+    poses: ['Left', 'Center', 'Right'],
+    keys: [['a', 'ㅁ'], ['s', 'ㄴ'], ['d', 'ㅇ']],
+    p2Keys: [['j', 'ㅓ'], ['k', 'ㅏ'], ['l', 'ㅣ']]
+  },
+  4: {
+    poses: ['Far-Left', 'Left', 'Right', 'Far-Right'],
+    keys: [['a', 'ㅁ'], ['s', 'ㄴ'], ['d', 'ㅇ'], ['f', 'ㄹ']],
+    p2Keys: [['j', 'ㅓ'], ['k', 'ㅏ'], ['l', 'ㅣ'], [';']]
+  },
+  5: {
+    poses: ['Far-Left', 'Left', 'Center', 'Right', 'Far-Right'],
+    keys: [['a', 'ㅁ'], ['s', 'ㄴ'], ['d', 'ㅇ'], ['f', 'ㄹ'], ['g', 'ㅎ']],
+    p2Keys: [['j', 'ㅓ'], ['k', 'ㅏ'], ['l', 'ㅣ'], [';'], ["'"]]
+  }
+};
+
+// Korean class names from older models
+const POSE_ALIASES = {
+  '왼쪽': 'Left',
+  '가운데': 'Center',
+  '중앙': 'Center',
+  '오른쪽': 'Right',
+  '맨왼쪽': 'Far-Left',
+  '맨오른쪽': 'Far-Right'
+};
+
+// A 5-pose model still works on a smaller board: Far-Left acts as Left
+const POSE_FALLBACKS = {
+  'Far-Left': 'Left',
+  'Far-Right': 'Right'
+};
+
+/**
+ * Layout for a lane count. Throws for counts outside 2-5.
+ */
+function getLaneLayout(count) {
+  const layout = LANE_LAYOUTS[count];
+  if (!layout) {
+    throw new Error(`Lane count must be ${MIN_LANES}-${MAX_LANES} (got ${count})`);
+  }
+  return layout;
+}
+
+/**
+ * Lane for a pose class name (case-insensitive, so LEFT works too),
+ * or -1 if the pose doesn't map to a lane.
+ */
+function laneForPose(layout, poseLabel) {
+  const alias = POSE_ALIASES[String(poseLabel).replace(/\s/g, '')];
+  const pose = (alias || String(poseLabel)).toLowerCase();
+  const indexOf = (name) => layout.poses.findIndex(p => p.toLowerCase() === name.toLowerCase());
+
+  let lane = indexOf(pose);
+  const fallback = Object.keys(POSE_FALLBACKS).find(p => p.toLowerCase() === pose);
+  if (lane === -1 && fallback) lane = indexOf(POSE_FALLBACKS[fallback]);
+  return lane;
+}
+
+/**
+ * Lane for a keyboard key, or -1.
+ */
+function laneForKey(layout, key) {
+  const lower = key.toLowerCase();
+  return layout.keys.findIndex(keys => keys.includes(lower));
+}
+
+window.MIN_LANES = MIN_LANES;
+window.MAX_LANES = MAX_LANES;
+window.LANE_LAYOUTS = LANE_LAYOUTS;
+window.getLaneLayout = getLaneLayout;
+window.laneForPose = laneForPose;
+window.laneForKey = laneForKey;
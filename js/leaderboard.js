@@ -0,0 +1,162 @@
+/**
+ * leaderboard.js
+ * Local high score tables (localStorage)
+ *
+ * One list of entries, split into tables by mode: single player, PVP per AI
+ * difficulty, and tester. Tester runs are stored flagged (`isTester`) and never
+ * show up in the real tables.
+ *
+ * Entry: { id, name, score, level, mode, difficulty, reward, input, seed, date, isTester }
+ */
+
+class Leaderboard {
+  static STORAGE_KEY = 'sky-fruit-leaderboard';
+  static NAME_KEY = 'sky-fruit-player-name';
+  static MAX_PER_TABLE = 50; // Older/lower entries beyond this are dropped
+  static MAX_NAME_LENGTH = 10;
+
+  // Tables shown in the UI, in order
+  static TABLES = [
+    { key: 'single', label: '싱글' },
+    { key: 'pvp:easy', label: 'PVP 쉬움' },
+    { key: 'pvp:medium', label: 'PVP 중간' },
+    { key: 'pvp:hard', label: 'PVP 어려움' },
+    { key: 'pvp:hell', label: 'PVP 극악' },
+    { key: 'pvp:adaptive', label: 'PVP 맞춤' }
+  ];
+
+  constructor(storage = Leaderboard.defaultStorage()) {
+    this.storage = storage;
+    this.entries = this.load();
+  }
+
+  /**
+   * window.localStorage, or an in-memory stand-in when the browser blocks it
+   * (cookies disabled, sandboxed iframe); records then last until the page closes.
+   */
+  static defaultStorage() {
+    try {
+      const storage = window.localStorage;
+      storage.getItem(Leaderboard.STORAGE_KEY); // Some browsers only throw on use
+      return storage;
+    } catch (error) {
+      console.warn("localStorage is unavailable, keeping records in memory:", error);
+      return new MemoryStorage();
+    }
+  }
+
+  static tableKey(mode, difficulty = null) {
+    return mode === 'pvp' ? `pvp:${difficulty}` : mode;
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(this.storage.getItem(Leaderboard.STORAGE_KEY) || '[]');
+      return Array.isArray(data) ? data : [];
+    } catch (error) {
+      console.warn("Leaderboard data is broken, starting fresh:", error);
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      this.storage.setItem(Leaderboard.STORAGE_KEY, JSON.stringify(this.entries));
+    } catch (error) {
+      // Quota full or storage disabled (private mode): keep the in-memory list
+      console.warn("Leaderboard could not be saved:", error);
+    }
+  }
+
+  /**
+   * Adds a finished run. Returns the stored entry (with id and rank).
+   */
+  add(run) {
+    const entry = {
+      id: `${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+      name: Leaderboard.cleanName(run.name),
+      score: run.score,
+      level: run.level,
+      mode: run.isTester ? 'tester' : run.mode,
+      difficulty: run.difficulty || null,
+      reward: run.reward || null,
+      input: run.input || null,
+      seed: run.seed ?? null,
+      date: new Date().toISOString(),
+      isTester: !!run.isTester
+    };
+
+    this.entries.push(entry);
+    this.trim(Leaderboard.tableKey(entry.mode, entry.difficulty));
+    this.save();
+
+    return { ...entry, rank: this.rankOf(entry) };
+  }
+
+  /**
+   * Entries of one table, best first. Tester runs only appear in the 'tester' table.
+   */
+  table(key) {
+    return this.entries
+      .filter(entry => Leaderboard.tableKey(entry.mode, entry.difficulty) === key)
+      .filter(entry => key === 'tester' || !entry.isTester)
+      .sort((a, b) => b.score - a.score || b.level - a.level || a.date.localeCompare(b.date));
+  }
+
+  rankOf(entry) {
+    const index = this.table(Leaderboard.tableKey(entry.mode, entry.difficulty)).findIndex(e => e.id === entry.id);
+    return index === -1 ? null : index + 1;
+  }
+
+  trim(key) {
+    const keep = new Set(this.table(key).slice(0, Leaderboard.MAX_PER_TABLE).map(entry => entry.id));
+    this.entries = this.entries.filter(entry =>
+      Leaderboard.tableKey(entry.mode, entry.difficulty) !== key || keep.has(entry.id));
+  }
+
+  static cleanName(name) {
+    const trimmed = String(name || '').trim().slice(0, Leaderboard.MAX_NAME_LENGTH);
+    return trimmed || '???';
+  }
+
+  lastName() {
+    try {
+      return this.storage.getItem(Leaderboard.NAME_KEY) || '';
+    } catch (error) {
+      console.warn("Player name could not be read:", error);
+      return '';
+    }
+  }
+
+  rememberName(name) {
+    try {
+      this.storage.setItem(Leaderboard.NAME_KEY, Leaderboard.cleanName(name));
+    } catch (error) {
+      console.warn("Player name could not be saved:", error);
+    }
+  }
+}
+
+/**
+ * Same getItem/setItem/removeItem as localStorage, kept in memory
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+window.Leaderboard = Leaderboard;
+window.MemoryStorage = MemoryStorage;
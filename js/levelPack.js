@@ -0,0 +1,101 @@
+/**
+ * levelPack.js
+ * Level / wave definitions
+ *
+ * GameCore drives difficulty entirely from a level pack. Pass another pack
+ * (same shape, e.g. loaded from JSON) via start({ levelPack }).
+ *
+ * Level fields:
+ *   level           level number (list them in order, starting at 1)
+ *   scoreThreshold  score at which this level starts
+ *   speed           [min, max] item fall speed in px per second
+ *   spawnInterval   ms between random spawns
+ *   timeLimit       seconds on the clock when the level starts
+ *   weights         optional { itemType: weight }, overrides the catalog spawn table
+ *   boss            boss id from bossRoster.js; its fight starts at this level
+ *   patterns        optional scripted spawns, timed from the start of the level:
+ *                   { at: 5000, lane: 0, items: ['banana', 'banana', 'banana'], gap: 300 }
+ *                   = three bananas in a row on the left lane, 5 s in, 0.3 s apart
+ *
+ * Past the last listed level, every `pointsPerExtraLevel` points is one more
+ * level with the last level's settings.
+ */
+
+const DEFAULT_LEVEL_PACK = {
+  name: 'Classic',
+  pointsPerExtraLevel: 1000,
+  levels: [
+    { level: 1, scoreThreshold: 0, speed: [180, 240], spawnInterval: 1500, timeLimit: 60 },
+    { level: 2, scoreThreshold: 1000, speed: [240, 300], spawnInterval: 1400, timeLimit: 60 },
+    { level: 3, scoreThreshold: 2000, speed: [300, 360], spawnInterval: 1300, timeLimit: 60 },
+    { level: 4, scoreThreshold: 3000, speed: [360, 420], spawnInterval: 1200, timeLimit: 60 },
+    { level: 5, scoreThreshold: 4000, speed: [420, 480], spawnInterval: 1100, timeLimit: 60, boss: 'golem' },
+    { level: 6, scoreThreshold: 5000, speed: [480, 540], spawnInterval: 1000, timeLimit: 60 },
+    { level: 7, scoreThreshold: 6000, speed: [540, 600], spawnInterval: 900, timeLimit: 60 },
+    { level: 8, scoreThreshold: 7000, speed: [600, 660], spawnInterval: 800, timeLimit: 60 },
+    { level: 9, scoreThreshold: 8000, speed: [660, 720], spawnInterval: 700, timeLimit: 60 },
+    { level: 10, scoreThreshold: 9000, speed: [660, 720], spawnInterval: 700, timeLimit: 60, boss: 'kraken' },
+    { level: 11, scoreThreshold: 10000, speed: [660, 720], spawnInterval: 700, timeLimit: 60 },
+    { level: 12, scoreThreshold: 11000, speed: [660, 720], spawnInterval: 700, timeLimit: 60 },
+    { level: 13, scoreThreshold: 12000, speed: [660, 720], spawnInterval: 700, timeLimit: 60 },
+    { level: 14, scoreThreshold: 13000, speed: [660, 720], spawnInterval: 700, timeLimit: 60 },
+    { level: 15, scoreThreshold: 14000, speed: [660, 720], spawnInterval: 700, timeLimit: 60, boss: 'dragon' }
+  ]
+};
+
+/**
+ * Checks a level pack before a game starts.
+ * Pass the item catalog, lane count and boss roster to also check item names,
+ * pattern lanes and boss ids.
+ * Throws an Error naming the broken level.
+ */
+function validateLevelPack(pack, { catalog = null, laneCount = null, bossRoster = null } = {}) {
+  if (!pack || !Array.isArray(pack.levels) || pack.levels.length === 0) {
+    throw new Error("Level pack needs a non-empty `levels` list");
+  }
+  if (pack.pointsPerExtraLevel !== undefined && !(pack.pointsPerExtraLevel > 0)) {
+    throw new Error("Level pack pointsPerExtraLevel must be positive");
+  }
+
+  const checkItem = (type, where) => {
+    if (catalog && !catalog.items[type]) {
+      throw new Error(`${where}: unknown item "${type}"`);
+    }
+  };
+
+  pack.levels.forEach((def, i) => {
+    const prev = pack.levels[i - 1];
+    const where = `Level pack "${pack.name || 'unnamed'}" level ${def.level}`;
+
+    if (def.level !== i + 1) {
+      throw new Error(`${where}: levels must be listed in order starting at 1`);
+    }
+    if (prev && def.scoreThreshold < prev.scoreThreshold) {
+      throw new Error(`${where}: scoreThreshold is lower than the previous level`);
+    }
+    if (!Array.isArray(def.speed) || def.speed.length !== 2 || def.speed[0] > def.speed[1]) {
+      throw new Error(`${where}: speed must be [min, max]`);
+    }
+    if (!(def.spawnInterval > 0) || !(def.timeLimit > 0)) {
+      throw new Error(`${where}: spawnInterval and timeLimit must be positive`);
+    }
+    if (def.boss && bossRoster && !bossRoster[def.boss]) {
+      throw new Error(`${where}: unknown boss "${def.boss}"`);
+    }
+    Object.keys(def.weights || {}).forEach(type => checkItem(type, where));
+    (def.patterns || []).forEach(pattern => {
+      if (!(pattern.at >= 0) || !Array.isArray(pattern.items)) {
+        throw new Error(`${where}: patterns need \`at\` (ms) and an \`items\` list`);
+      }
+      pattern.items.forEach(type => checkItem(type, where));
+      if (laneCount && !(pattern.lane >= 0 && pattern.lane < laneCount)) {
+        throw new Error(`${where}: pattern lane ${pattern.lane} is off a ${laneCount}-lane board`);
+      }
+    });
+  });
+
+  return pack;
+}
+
+window.DEFAULT_LEVEL_PACK = DEFAULT_LEVEL_PACK;
+window.validateLevelPack = validateLevelPack;
@@ -10,20 +10,171 @@ let poseEngine;
 let gameEngine; // P1 (or Single)
 let gameEngineP2; // P2 (AI)
 let aiController;
+let adaptiveDifficulty = null; // 맞춤 난이도: 점수 차에 따라 AI 실력 조절 (AI 대결에서만)
 let stabilizer;
+let stabilizerP2 = null; // 카메라 한 대로 두 사람 대결할 때 오른쪽 사람용
+let p1Input; // P1 입력 컨트롤러 (키보드/포즈가 여기에 연결됨)
+let p2Input; // P2 입력 컨트롤러 (PVP: AI)
+const keyboardInput = new KeyboardSource(); // 레인 키 + W(총) + P(일시정지)
+let poseInput = null; // 카메라 포즈 입력 (두 손 들기 = 일시정지/재개)
+let poseInputP2 = null; // 화면 오른쪽 사람의 포즈 입력 (화면 나누기 대결에서만)
+let poseClassNames = [null, null]; // 화면 나누기: 영역별 마지막 인식 결과 (표시용)
+let gamepadInput = null; // 게임패드 입력 (게임패드 모드에서만)
+let touchInput = null; // 터치 입력 (터치 모드에서만)
 let ctx;
 let labelContainer;
-let useKeyboard = false;
+let inputMode = 'pose'; // 'pose'(카메라) | 'keyboard' | 'gamepad' | 'touch'
+let currentSeed = null; // 이번 판의 시드 (재현용)
+let runStats = null; // P1 플레이 통계 (결과 화면용)
+let runStatsP2 = null; // PVP P2 플레이 통계
+let pvpMatch = null; // PVP 대결 설정 + 판 스코어 (startPVP에서 만듦)
+let netClient = null; // 온라인 대결: 중계 서버 연결
+let netMirror = null; // 온라인 대결: 상대 보드 (상대 입력을 그대로 재생)
+let netStreamer = null; // 온라인 대결: 내 보드를 상대에게 전송
+
+/**
+ * 이번 판에 사용할 시드 결정
+ * URL에 ?seed=123 이 있으면 그 값을, 없으면 새 랜덤 시드를 사용
+ */
+function resolveSeed() {
+  const urlSeed = new URLSearchParams(window.location.search).get("seed");
+  if (urlSeed !== null && urlSeed !== "") return SeededRandom.normalizeSeed(urlSeed);
+  return SeededRandom.randomSeed();
+}
+
+const INPUT_MODE_NAMES = { keyboard: "키보드", gamepad: "게임패드", touch: "터치" };
+
+// 화면 나누기 대결에서 사람마다 다른 스켈레톤 색 (P1 = 왼쪽, P2 = 오른쪽)
+const POSE_COLORS = ["#00e5ff", "#ff4081"];
+
+const LANE_NAMES = {
+  'Far-Left': "맨 왼쪽",
+  'Left': "왼쪽",
+  'Center': "가운데",
+  'Right': "오른쪽",
+  'Far-Right': "맨 오른쪽"
+};
+
+/**
+ * 엔진에 플레이어 입력 컨트롤러를 만들고 입력 장치들을 연결
+ * (장치가 다른 컨트롤러에 연결되어 있었다면 이쪽으로 옮겨옴)
+ * @param {GameEngine} engine
+ * @param {Array<InputSource>} sources - null은 건너뜀
+ */
+function createPlayerInput(engine, sources) {
+  const controller = new InputController(engine, { onPause: togglePause });
+  sources.filter(Boolean).forEach(source => controller.bind(source));
+  return controller;
+}
+
+/**
+ * 규칙 창에서 고른 레인 수 (2~5, 기본 3)
+ */
+function getLaneCount() {
+  const select = document.getElementById("lane-count");
+  return select ? parseInt(select.value) : 3;
+}
 
 function enableKeyboardMode() {
-  useKeyboard = true;
+  inputMode = 'keyboard';
+  const layout = getLaneLayout(getLaneCount());
+  const laneKeys = layout.keys
+    .map((keys, lane) => `${keys[0].toUpperCase()}: ${LANE_NAMES[layout.poses[lane]]}`)
+    .join("\n");
+
   closeRuleModal();
   document.getElementById("startBtn").textContent = "Keyboard Start";
   document.getElementById("max-prediction").textContent = "키보드 모드 대기 중...";
-  alert("키보드 모드가 선택되었습니다.\n\n[조작법]\nA: 왼쪽\nS: 가운데\nD: 오른쪽\nW: 총 사용");
+  alert(`키보드 모드가 선택되었습니다.\n\n[조작법]\n${laneKeys}\nW: 총 사용\nP: 일시정지`);
 }
 window.enableKeyboardMode = enableKeyboardMode;
 
+/**
+ * 게임패드 모드 (카메라 없이 USB 컨트롤러로 조작)
+ */
+function enableGamepadMode() {
+  inputMode = 'gamepad';
+  if (!gamepadInput) gamepadInput = new GamepadSource();
+
+  closeRuleModal();
+  document.getElementById("startBtn").textContent = "Gamepad Start";
+  document.getElementById("max-prediction").textContent = "게임패드 모드 대기 중...";
+  document.getElementById("gamepad-status").style.display = "block";
+  updateGamepadStatus();
+}
+window.enableGamepadMode = enableGamepadMode;
+
+/**
+ * 게임패드 연결 표시 갱신
+ */
+function updateGamepadStatus() {
+  const status = document.getElementById("gamepad-status");
+  const pad = gamepadInput ? gamepadInput.gamepad : null;
+
+  status.textContent = pad
+    ? `🎮 연결됨: ${pad.id}`
+    : "🎮 연결 안 됨 - 컨트롤러의 아무 버튼이나 눌러 주세요";
+  status.classList.toggle("connected", !!pad);
+}
+
+/**
+ * 터치 모드 (휴대폰/태블릿: 레인 탭, 좌우 스와이프, 두 손가락 탭 = 총)
+ */
+function enableTouchMode() {
+  inputMode = 'touch';
+  if (!touchInput) touchInput = new TouchSource({ buttons: document.getElementById("touch-controls") });
+
+  closeRuleModal();
+  document.getElementById("startBtn").textContent = "Touch Start";
+  document.getElementById("max-prediction").textContent = "터치 모드 대기 중...";
+  document.getElementById("touch-controls").style.display = "flex";
+}
+window.enableTouchMode = enableTouchMode;
+
+// 브라우저는 버튼을 한 번 눌러야 게임패드를 알려줌
+window.addEventListener("gamepadconnected", () => {
+  if (gamepadInput) updateGamepadStatus();
+});
+window.addEventListener("gamepaddisconnected", () => {
+  if (gamepadInput) updateGamepadStatus();
+});
+
+/**
+ * 카메라와 포즈 모델 시작 (포즈 입력은 현재 P1에 연결)
+ */
+async function startCamera() {
+  const maxPredictionDiv = document.getElementById("max-prediction");
+  maxPredictionDiv.innerHTML = "모델 로딩 중...";
+  poseEngine = new PoseEngine("./my_model/");
+  const { maxPredictions, webcam } = await poseEngine.init({
+    size: 200,
+    flip: true
+  });
+  maxPredictionDiv.innerHTML = "카메라 시작 중...";
+  stabilizer = new PredictionStabilizer({
+    threshold: 0.7,
+    smoothingFrames: 3
+  });
+  poseInput = new PoseSource({ pauseGesture: new HandsUpGesture({ holdMs: 800 }) });
+  if (p1Input) p1Input.bind(poseInput);
+
+  const canvas = document.getElementById("canvas");
+  canvas.width = 200;
+  canvas.height = 200;
+  ctx = canvas.getContext("2d");
+
+  labelContainer = document.getElementById("label-container");
+  labelContainer.innerHTML = "";
+  for (let i = 0; i < maxPredictions; i++) {
+    labelContainer.appendChild(document.createElement("div"));
+  }
+
+  poseEngine.setPredictionCallback(handlePrediction);
+  poseEngine.setDrawCallback(drawPose);
+  poseEngine.setStallCallback(handleWebcamStall, handleWebcamRecover);
+  poseEngine.start();
+}
+
 /**
  * 애플리케이션 초기화 (Single Player / Default)
  */
@@ -43,41 +194,18 @@ async function init() {
     // Single Player: Use document as root (backwards compat)
     gameEngine = new GameEngine(document);
     gameEngine.devGunMode = savedDevMode;
+    p1Input = createPlayerInput(gameEngine, [keyboardInput, gamepadInput, touchInput]);
 
-    if (useKeyboard) {
-      maxPredictionDiv.innerHTML = "키보드 모드 준비 완료!";
+    if (inputMode !== 'pose') {
+      maxPredictionDiv.innerHTML = `${INPUT_MODE_NAMES[inputMode]} 모드 준비 완료!`;
       document.getElementById("label-container").innerHTML = "📷 카메라 꺼짐";
       poseEngine = null;
+      poseInput = null;
       stabilizer = null;
       stopBtn.disabled = false;
       document.getElementById("gameStartBtn").disabled = false;
     } else {
-      maxPredictionDiv.innerHTML = "모델 로딩 중...";
-      poseEngine = new PoseEngine("./my_model/");
-      const { maxPredictions, webcam } = await poseEngine.init({
-        size: 200,
-        flip: true
-      });
-      maxPredictionDiv.innerHTML = "카메라 시작 중...";
-      stabilizer = new PredictionStabilizer({
-        threshold: 0.7,
-        smoothingFrames: 3
-      });
-
-      const canvas = document.getElementById("canvas");
-      canvas.width = 200;
-      canvas.height = 200;
-      ctx = canvas.getContext("2d");
-
-      labelContainer = document.getElementById("label-container");
-      labelContainer.innerHTML = "";
-      for (let i = 0; i < maxPredictions; i++) {
-        labelContainer.appendChild(document.createElement("div"));
-      }
-
-      poseEngine.setPredictionCallback(handlePrediction);
-      poseEngine.setDrawCallback(drawPose);
-      poseEngine.start();
+      await startCamera();
       maxPredictionDiv.innerHTML = "준비 완료!";
       stopBtn.disabled = false;
       document.getElementById("gameStartBtn").disabled = false;
@@ -90,53 +218,115 @@ async function init() {
   }
 }
 
+/**
+ * 규칙 창 라디오 버튼 중 선택된 값
+ */
+function getCheckedValue(name, fallback) {
+  const checked = Array.from(document.getElementsByName(name)).find(el => el.checked);
+  return checked ? checked.value : fallback;
+}
+
+/**
+ * 키 배치 안내 (예: "A/S/D · W")
+ */
+function describeKeys(laneKeys, gunKey) {
+  return `${laneKeys.map(keys => keys[0].toUpperCase()).join("/")} · ${gunKey}`;
+}
+
 /**
  * PVP Mode Start Logic
  */
 async function startPVP() {
-  // 1. Get Difficulty
-  const difficultyEls = document.getElementsByName('difficulty');
-  let diff = 'medium';
-  for (let el of difficultyEls) {
-    if (el.checked) diff = el.value;
-  }
+  // 1. Match options (opponent, difficulty, controls, rounds)
+  const opponent = getCheckedValue('pvp-opponent', 'ai');
+  if (opponent === 'online') return startOnlinePVP();
+  leaveOnlinePVP();
+
+  const diff = getCheckedValue('difficulty', 'medium');
+  const isHuman = opponent === 'human';
+  const controlsSelect = document.getElementById('pvp-controls');
+  const roundsSelect = document.getElementById('pvp-rounds');
+  let controls = isHuman && controlsSelect ? controlsSelect.value : null; // 'keyboard' | 'pose' | 'pose2'
+  const bestOf = roundsSelect ? parseInt(roundsSelect.value) : 1;
+  const nameInput = document.getElementById('pvp-player-name');
+  const playerName = Leaderboard.cleanName((nameInput && nameInput.value) || leaderboard.lastName());
+  if (nameInput && nameInput.value.trim()) leaderboard.rememberName(playerName);
 
   // 2. Hide Modal & Setup UI
   closeRuleModal();
   document.getElementById('roulette-overlay').style.display = 'none';
 
-  // Clean up single player UI
-  const singleInfo = document.querySelector('.game-info');
-  const singleContainer = document.getElementById('game-container');
-  if (singleInfo) singleInfo.style.display = 'none';
-  if (singleContainer) singleContainer.style.display = 'none';
-  const heading = document.querySelector('h1');
-  if (heading) heading.textContent = "⚔️ YOU  vs  AI 🤖";
-
-  let wrapper = document.getElementById('main-wrapper');
-  if (!wrapper) {
-    wrapper = document.createElement('div');
-    wrapper.id = 'main-wrapper';
-    const ref = document.querySelector('.controls');
-    ref.parentNode.insertBefore(wrapper, ref);
+  // 포즈 대결: 보드를 만들기 전에 카메라부터 켜기
+  const usesCamera = controls === 'pose' || controls === 'pose2';
+  if (usesCamera && !poseEngine) {
+    try {
+      await startCamera();
+    } catch (error) {
+      console.error("카메라 시작 실패:", error);
+      alert("카메라를 시작할 수 없어 두 사람 모두 키보드로 대결합니다.\n오류 내용: " + error.message);
+      controls = 'keyboard';
+    }
   }
-  wrapper.innerHTML = "";
+  setPoseSplit(controls === 'pose2');
+
+  pvpMatch = {
+    isHuman,
+    difficulty: isHuman ? null : diff,
+    controls,
+    bestOf,
+    round: 0,
+    wins: [0, 0],
+    draws: 0,
+    ends: [null, null], // 이번 판 [P1, P2] 종료 { reason, score } (아직 진행 중이면 null)
+    playerName: isHuman ? null : playerName, // 맞춤 난이도 실력 점수를 기억할 이름
+    names: isHuman ? ["PLAYER 1", "PLAYER 2"] : ["YOU", `AI (${diff.toUpperCase()})`]
+  };
 
   // 3. Generate DOM
-  const p1DOM = createGameDOM("Player 1 (YOU)");
-  const p2DOM = createGameDOM(`AI (${diff.toUpperCase()})`);
-
-  wrapper.appendChild(p1DOM.root);
-  wrapper.appendChild(p2DOM.root);
+  const layout = getLaneLayout(getLaneCount());
+  const p1Title = !isHuman ? "Player 1 (YOU)"
+    : controls === 'pose2' ? "Player 1 (🏃 화면 왼쪽)"
+    : controls === 'pose' ? "Player 1 (🏃 포즈)" : `Player 1 (${describeKeys(layout.keys, "W")})`;
+  const p2Title = !isHuman ? `AI (${diff.toUpperCase()})`
+    : controls === 'pose2' ? "Player 2 (🏃 화면 오른쪽)" : `Player 2 (${describeKeys(layout.p2Keys, "I")})`;
+  const [p1DOM, p2DOM] = createPVPBoards(isHuman ? "⚔️ PLAYER 1  vs  PLAYER 2 👥" : "⚔️ YOU  vs  AI 🤖", [p1Title, p2Title]);
 
   // 4. Initialize Engines
   gameEngine = new GameEngine(p1DOM.root);
   gameEngineP2 = new GameEngine(p2DOM.root);
-  aiController = new AIEngine(gameEngineP2, diff);
+  if (p2Input) p2Input.unbindAll(); // 이전 대결의 P2 입력 (AI 또는 P2 키보드)
+
+  if (isHuman) {
+    aiController = null;
+    adaptiveDifficulty = null;
+    // 포즈 대결이면 P1 키보드는 끄고, 일시정지(P)는 P2 키보드가 맡음
+    const p2Keys = controls === 'pose'
+      ? { ...KeyboardSource.P2_KEYS, pause: KeyboardSource.DEFAULT_KEYS.pause }
+      : KeyboardSource.P2_KEYS;
+    if (controls === 'pose' && keyboardInput.controller) keyboardInput.controller.unbind(keyboardInput);
+
+    if (controls === 'pose2') {
+      // 두 사람 모두 포즈: 키보드는 일시정지(P)만, 레인/총은 몸으로
+      if (keyboardInput.controller) keyboardInput.controller.unbind(keyboardInput);
+      const pauseKeys = new KeyboardSource({ lanes: [], gun: [] });
+      p1Input = createPlayerInput(gameEngine, [poseInput, pauseKeys]);
+      p2Input = createPlayerInput(gameEngineP2, [poseInputP2]);
+    } else {
+      const p1Sources = controls === 'pose' ? [poseInput] : [keyboardInput, poseInput, gamepadInput, touchInput];
+      p1Input = createPlayerInput(gameEngine, p1Sources);
+      p2Input = createPlayerInput(gameEngineP2, [new KeyboardSource(p2Keys)]);
+    }
+  } else {
+    aiController = createAIController(diff);
 
-  // Setup callbacks
-  gameEngine.setGameEndCallback((score, level, victory, engine) => handlePVPEnd(score, true));
-  gameEngineP2.setGameEndCallback((score, level, victory, engine) => handlePVPEnd(score, false));
+    // 키보드/카메라/게임패드/터치는 P1, AI는 P2 조종
+    p1Input = createPlayerInput(gameEngine, [keyboardInput, poseInput, gamepadInput, touchInput]);
+    p2Input = createPlayerInput(gameEngineP2, [aiController]);
+  }
+
+  // 종료 이벤트 (엔진마다 새로 만들었으므로 리스너도 한 번씩만 붙음)
+  gameEngine.on('gameEnd', ({ reason }) => handlePVPEnd(true, reason));
+  gameEngineP2.on('gameEnd', ({ reason }) => handlePVPEnd(false, reason));
 
   // 5. Setup Controls for Launch
   const gameStartBtn = document.getElementById("gameStartBtn");
@@ -156,23 +346,128 @@ async function startPVP() {
   document.getElementById("max-prediction").textContent = "준비 완료! [BATTLE START]를 누르세요.";
 }
 
+/**
+ * PVP 화면 준비: 1인용 화면을 숨기고 두 사람의 보드를 나란히 만듦
+ * @param {string} headingText - 페이지 제목
+ * @param {Array<string>} titles - [P1 보드 제목, P2 보드 제목]
+ * @returns {Array} [P1 보드 DOM, P2 보드 DOM]
+ */
+function createPVPBoards(headingText, titles) {
+  // Clean up single player UI
+  const singleInfo = document.querySelector('.game-info');
+  const singleContainer = document.getElementById('game-container');
+  if (singleInfo) singleInfo.style.display = 'none';
+  if (singleContainer) singleContainer.style.display = 'none';
+  const heading = document.querySelector('h1');
+  if (heading) heading.textContent = headingText;
+
+  let wrapper = document.getElementById('main-wrapper');
+  if (!wrapper) {
+    wrapper = document.createElement('div');
+    wrapper.id = 'main-wrapper';
+    const ref = document.querySelector('.controls');
+    ref.parentNode.insertBefore(wrapper, ref);
+  }
+  wrapper.innerHTML = "";
+
+  const boards = titles.map(title => createGameDOM(title));
+  boards.forEach(board => wrapper.appendChild(board.root));
+  pvpMatch.titleElements = boards.map(board => board.root.querySelector('h3'));
+  return boards;
+}
+
+/**
+ * 한 판 시작 (3판 2선승이면 판마다 호출)
+ */
 function launchPVP() {
   document.getElementById("gameStartBtn").disabled = true;
 
   // Ensure Keyboard Mode if no camera
-  if (!poseEngine && !useKeyboard) {
+  if (!pvpMatch.isHuman && !poseEngine && inputMode === 'pose') {
     // Auto enable keyboard if camera wasn't started
     enableKeyboardMode();
   }
 
-  // Check if we need to hook up Camera Prediction to P1 ??
-  // handlePrediction relies on global `gameEngine`.
-  // We overwrote `gameEngine` with P1 instance in startPVP.
-  // So if poseEngine is running, it will call gameEngine.onPoseDetected. CORRECT.
+  isPVPFinished = false;
+  pvpMatch.round++;
+  pvpMatch.ends = [null, null];
+  if (pvpMatch.bestOf > 1) {
+    document.getElementById("max-prediction").textContent =
+      `${pvpMatch.round}판 (${pvpMatch.names[0]} ${pvpMatch.wins[0]} : ${pvpMatch.wins[1]} ${pvpMatch.names[1]})`;
+  }
+
+  // Same seed on both boards -> identical item streams
+  currentSeed = resolveSeed();
+  trackRunStats(gameEngine);
+  if (runStatsP2) runStatsP2.detach();
+  runStatsP2 = new RunStats(gameEngineP2);
+  const laneCount = getLaneCount();
+  gameEngine.start({ startLevel: 1, seed: currentSeed, laneCount });
+  gameEngineP2.start({ startLevel: 1, seed: currentSeed, laneCount });
+  if (aiController) aiController.start();
+  if (adaptiveDifficulty) adaptiveDifficulty.start();
+}
+
+/**
+ * 3판 2선승: 결과 화면에서 다음 판으로
+ */
+function nextPVPRound() {
+  if (pvpMatch.online) {
+    readyOnlineRound(pvpMatch.round + 1);
+    return;
+  }
+  document.getElementById('results-overlay').style.display = 'none';
+  launchPVP();
+}
+window.nextPVPRound = nextPVPRound;
 
-  gameEngine.start({ isInputEnabled: true, startLevel: 1 });
-  gameEngineP2.start({ isInputEnabled: false, startLevel: 1 });
-  aiController.start();
+/**
+ * 같은 상대와 처음부터 다시 대결 (보드/엔진은 그대로 재사용)
+ */
+function rematchPVP() {
+  pvpMatch.round = 0;
+  pvpMatch.wins = [0, 0];
+  pvpMatch.draws = 0;
+  nextPVPRound();
+}
+window.rematchPVP = rematchPVP;
+
+/**
+ * 결과 화면에서 고른 난이도의 AI로 바꿔서 재대결 (P2 엔진은 그대로, AI만 교체)
+ */
+function changePVPDifficulty() {
+  const diff = document.getElementById('results-difficulty').value;
+
+  pvpMatch.difficulty = diff;
+  pvpMatch.names[1] = `AI (${diff.toUpperCase()})`;
+  pvpMatch.titleElements[1].textContent = pvpMatch.names[1];
+
+  aiController = createAIController(diff);
+  p2Input.unbindAll();
+  p2Input.bind(aiController);
+  rematchPVP();
+}
+window.changePVPDifficulty = changePVPDifficulty;
+
+/**
+ * P2 AI 만들기. 맞춤 난이도면 저장된 실력 점수에서 시작하고,
+ * 대결 중 점수 차에 따라 실력이 오르내림 (보드 제목에 표시)
+ * @param {string} diff - 'easy' | 'medium' | 'hard' | 'hell' | 'adaptive'
+ */
+function createAIController(diff) {
+  if (adaptiveDifficulty) adaptiveDifficulty.stop();
+  adaptiveDifficulty = null;
+
+  const ai = new AIEngine(gameEngineP2, diff);
+  if (diff === 'adaptive') {
+    ai.setSkill(skillRatings.get(pvpMatch.playerName));
+    adaptiveDifficulty = new AdaptiveDifficulty(ai, gameEngine, {
+      onChange: (skill) => {
+        if (pvpMatch.titleElements) pvpMatch.titleElements[1].textContent = `AI (맞춤 ${Math.round(skill * 100)})`;
+      }
+    });
+  }
+  return ai;
 }
 
 
@@ -186,7 +481,9 @@ function createGameDOM(titleText) {
      <div class="game-info" style="scale:0.9; margin-bottom:5px;">
        <div>점수: <span class="score-value">0</span></div>
        <div>남은 시간: <span class="time-value">60</span>s</div>
+       <div>콤보: <span class="combo-value">0</span> <span class="multiplier-value multiplier">x1</span></div>
        <div class="lives-container" style="color: red;">❤️❤️</div>
+       <div class="powerup-hud"></div>
      </div>
      <div class="game-board">
        <div class="lane" id="lane-0"><div class="lane-label">LEFT</div></div>
@@ -202,67 +499,419 @@ function createGameDOM(titleText) {
 
 let isPVPFinished = false;
 
-function handlePVPEnd(score, isP1) {
+// PVP 종료 이유 표시 (null도 'stopped'와 같음: 상대가 먼저 끝나서 멈춤)
+const END_REASON_LABELS = {
+  victory: "🐉 보스 격파",
+  time: "⏱️ 시간 종료",
+  bomb: "💣 폭탄",
+  misses: "💔 놓침 초과",
+  disconnect: "🔌 연결 끊김",
+  stopped: "🛡️ 끝까지 버팀" // 상대가 먼저 끝나서 멈춤
+};
+
+// 온라인 상대의 end 메시지에 올 수 있는 이유 (gameEnd 종료 이유; disconnect는 이쪽에서만 정함)
+const ONLINE_END_REASONS = ['victory', 'time', 'bomb', 'misses', 'stopped'];
+
+/**
+ * PVP 한 판의 승자 결정
+ * 보스 격파 > 살아남음(시간 종료 포함) > 탈락(폭탄/놓침/연결 끊김). 같은 단계면 점수, 점수도 같으면 무승부
+ * @param {Array} ends - [P1, P2] 각각 { reason, score } (reason: gameEnd 종료 이유, 끝나지 않았으면 null)
+ * @returns {number|null} 이긴 쪽 (0 = P1, 1 = P2), 무승부면 null
+ */
+function decidePVPWinner(ends) {
+  const rank = ({ reason }) => {
+    if (reason === 'victory') return 2;
+    if (reason === 'bomb' || reason === 'misses' || reason === 'disconnect') return 0;
+    return 1;
+  };
+
+  const [rank1, rank2] = ends.map(rank);
+  if (rank1 !== rank2) return rank1 > rank2 ? 0 : 1;
+  if (ends[0].score !== ends[1].score) return ends[0].score > ends[1].score ? 0 : 1;
+  return null;
+}
+
+/**
+ * PVP 한쪽 보드가 끝났을 때
+ * 탈락/보스 격파면 바로 판정, 시간 종료면 상대 보드가 끝날 때까지 기다렸다가 판정
+ * @param {boolean} isP1 - 끝난 보드가 P1인지
+ * @param {string} reason - gameEnd 이벤트의 종료 이유 ('misses', 'bomb', 'time', 'victory', ...)
+ */
+function handlePVPEnd(isP1, reason) {
   if (isPVPFinished) return;
-  isPVPFinished = true;
 
-  // One player died or finished.
-  // Logic: If P1 dies, P2 wins. If P2 dies, P1 wins.
-  // If Time Over? Compare scores.
+  const index = isP1 ? 0 : 1;
+  const engines = [gameEngine, gameEngineP2];
+  pvpMatch.ends[index] = { reason, score: engines[index].score };
+
+  // 먼저 시간이 끝난 쪽은 점수를 지킨 채 기다림 (상대가 탈락하면 승리, 같이 시간 종료면 점수 비교)
+  if (reason === 'time' && engines[1 - index].isGameActive) {
+    document.getElementById("max-prediction").textContent =
+      `⏱️ ${pvpMatch.names[index]} 시간 종료! (${engines[index].score}점) 상대를 기다리는 중...`;
+    return;
+  }
+  isPVPFinished = true;
 
-  // Stop everyone
+  // Stop everyone. The other board's stop() fires its gameEnd too; the flag above ignores it.
   if (aiController) aiController.stop();
-  // Pass true to prevent recursive callback if we modify stop() to support it, 
-  // OR just rely on isPVPFinished upstream check (which we just added).
-  // But wait, gameEngine.stop() calls callback synchronously.
-  // So inside gameEngine.stop(), it calls handlePVPEnd.
-  // We are ALREADY in handlePVPEnd (for the first engine).
-  // We call gameEngineP2.stop(). That calls handlePVPEnd.
-  // The flag `isPVPFinished = true` at the top handles this recursion perfectly.
-
-  if (gameEngine && gameEngine.isGameActive) gameEngine.stop("Game Over", false);
-  if (gameEngineP2 && gameEngineP2.isGameActive) gameEngineP2.stop("Game Over", false);
-
-  const p1Score = gameEngine.score;
-  const p2Score = gameEngineP2.score;
-
-  let resultMsg = "";
-  if (!isP1) {
-    // AI Died (isP1 is false means the caller was NOT P1? Wait.
-    // Callback: gameEngine (P1) -> handlePVPEnd(score, true)
-    // Callback: gameEngineP2 (AI) -> handlePVPEnd(score, false)
-    // If AI (false) calls this, it means AI died. So P1 wins.
-    resultMsg = "YOU WIN! 🏆\n(AI Game Over)";
+  if (adaptiveDifficulty) adaptiveDifficulty.stop();
+  engines.forEach(engine => {
+    if (engine && engine.isGameActive) engine.stop("Game Over", false);
+  });
+
+  finishPVPRound(engines.map((engine, i) => pvpMatch.ends[i] || { reason: null, score: engine.score }));
+}
+
+/**
+ * 판정 후 판 스코어 갱신 + 결과 화면
+ * @param {Array} ends - [P1, P2] { reason, score }
+ */
+function finishPVPRound(ends) {
+  const engines = [gameEngine, gameEngineP2];
+  const winner = decidePVPWinner(ends);
+  if (winner === null) pvpMatch.draws++;
+  else pvpMatch.wins[winner]++;
+  // 단판 무승부는 그대로 끝, 3판 2선승 무승부는 한 판 더
+  const matchOver = winner === null
+    ? pvpMatch.bestOf === 1
+    : pvpMatch.wins[winner] >= Math.ceil(pvpMatch.bestOf / 2);
+
+  const [p1Name, p2Name] = pvpMatch.names;
+  const winnerName = winner === null ? null : pvpMatch.names[winner];
+  let title;
+  if (winner === null) {
+    title = pvpMatch.bestOf > 1 ? `🤝 ${pvpMatch.round}판 무승부!` : "🤝 DRAW";
+  } else if (pvpMatch.bestOf > 1) {
+    title = matchOver ? `🏆 ${winnerName} 매치 승리!` : `${winnerName} ${pvpMatch.round}판 승리!`;
+  } else if (pvpMatch.isHuman && !pvpMatch.online) {
+    title = `🏆 ${winnerName} WIN!`;
   } else {
-    // Player Died
-    resultMsg = "YOU LOSE... 💀\n(Game Over)";
-  }
-
-  // Check scores if both alive (Time Limit case?)
-  // GameEngine stops itself on Time Limit.
-  // If reason was Time Limit?
-  // Actually gameEngine.stop() sends "Time's Up!" as reason but we don't catch reason here.
-  // If both are alive (how?), we compare scores.
-  // But usually this logic is triggered by death or time.
-  // If time up: GameEngine calls stop(), then callback.
-  // We just take who "finished" first triggers this?
-  // If time limit is same, they likely finish same frame.
-  // Race condition handled by flag.
-
-  // Simple alert for now
+    title = winner === 0 ? "YOU WIN! 🏆" : "YOU LOSE... 💀";
+  }
+
+  const lines = [winner === null ? "무승부 (점수 동점)" : `승자: ${winnerName}`];
+  if (pvpMatch.bestOf > 1) {
+    const draws = pvpMatch.draws ? ` (무승부 ${pvpMatch.draws})` : "";
+    lines.push(`판 스코어: ${p1Name} ${pvpMatch.wins[0]} : ${pvpMatch.wins[1]} ${p2Name}${draws}`);
+  }
+  if (adaptiveDifficulty) {
+    // 이번 판 AI 평균 실력을 내 실력 점수에 반영 (다음 대결은 여기서 시작)
+    const { before, after } = skillRatings.record(pvpMatch.playerName, adaptiveDifficulty.averageSkill());
+    lines.push(`🎚️ ${pvpMatch.playerName} 실력 점수: ${Math.round(before * 100)} → ${Math.round(after * 100)}`);
+  }
+
+  const players = engines.map((engine, i) => ({
+    name: pvpMatch.names[i],
+    engine,
+    reason: ends[i].reason,
+    stats: i === 0 ? runStats : runStatsP2
+  }));
+
+  const replayRuns = [
+    { label: p1Name, recording: gameEngine.recording },
+    { label: p2Name, recording: gameEngineP2.recording }
+  ];
+
+  // 마지막 화면을 잠깐 보여준 뒤 결과 화면
   setTimeout(() => {
-    alert(resultMsg + `\n\nFinal Score:\nYOU: ${p1Score}\nAI: ${p2Score}`);
-    location.reload();
+    showResults({
+      title,
+      engine: gameEngine,
+      mode: 'pvp',
+      difficulty: pvpMatch.difficulty,
+      unranked: pvpMatch.isHuman, // 2인 대결은 랭킹 없음
+      nextRound: !matchOver,
+      rematch: matchOver ? { canChangeDifficulty: !!pvpMatch.difficulty, difficulty: pvpMatch.difficulty } : null,
+      players,
+      lines,
+      replayRuns
+    });
   }, 500);
 }
 
 function stopPVP() {
+  isPVPFinished = true; // 중지는 판정하지 않음
   if (aiController) aiController.stop();
+  if (adaptiveDifficulty) adaptiveDifficulty.stop();
+  leaveOnlinePVP();
   if (gameEngine) gameEngine.stop("PVP Stopped");
   if (gameEngineP2) gameEngineP2.stop("PVP Stopped");
   location.reload();
 }
 
+/**
+ * 온라인 대결 시작: 중계 서버에 접속해서 방을 만들거나 (방 코드가 비었을 때) 들어감
+ * 방을 만든 사람(방장)이 시드를 정하고 판을 시작, 상대 보드는 받은 입력으로 그대로 재생
+ */
+async function startOnlinePVP() {
+  const server = document.getElementById('pvp-server').value.trim() || NetClient.defaultUrl();
+  const room = document.getElementById('pvp-room').value.trim();
+  const roundsSelect = document.getElementById('pvp-rounds');
+  const status = document.getElementById("max-prediction");
+
+  closeRuleModal();
+  document.getElementById('roulette-overlay').style.display = 'none';
+  leaveOnlinePVP();
+  setPoseSplit(false);
+
+  status.textContent = "🌐 중계 서버 연결 중...";
+  const client = new NetClient(server);
+  try {
+    await client.connect();
+  } catch (error) {
+    console.error("중계 서버 연결 실패:", error);
+    alert("중계 서버에 연결할 수 없습니다.\n`node tools/relay.js` 가 실행 중인지, 주소가 맞는지 확인하세요.\n오류 내용: " + error.message);
+    status.textContent = "🌐 연결 실패";
+    return;
+  }
+  netClient = client;
+
+  pvpMatch = {
+    isHuman: true,
+    online: true,
+    isHost: !room, // 방장: 시드/판 수를 정하고 판을 시작
+    difficulty: null,
+    controls: null,
+    bestOf: roundsSelect ? parseInt(roundsSelect.value) : 1,
+    round: 0,
+    wins: [0, 0],
+    draws: 0,
+    ends: [null, null],
+    ready: [null, null], // [나, 상대] 다음 판 준비 (판 번호)
+    names: ["YOU", "OPPONENT"]
+  };
+
+  const [p1DOM, p2DOM] = createPVPBoards("⚔️ YOU  vs  OPPONENT 🌐", ["Player 1 (YOU)", "🌐 상대 (연결 대기)"]);
+  gameEngine = new GameEngine(p1DOM.root);
+  gameEngineP2 = new GameEngine(p2DOM.root);
+  aiController = null;
+  adaptiveDifficulty = null;
+  if (p2Input) p2Input.unbindAll();
+  p2Input = null; // 상대 보드는 입력 대신 받은 기록으로 움직임
+  p1Input = createPlayerInput(gameEngine, [keyboardInput, poseInput, gamepadInput, touchInput]);
+
+  netMirror = new RemoteMirror(gameEngineP2);
+  netStreamer = new BoardStreamer(gameEngine, client);
+  gameEngine.on('gameEnd', ({ reason, score }) => handleOnlineEnd(0, { reason, score }));
+
+  client.on('created', ({ room: code }) => {
+    status.textContent = `🌐 방 코드: ${code} — 상대에게 알려 주세요. 기다리는 중...`;
+  });
+  client.on('joined', ({ room: code }) => {
+    status.textContent = `🌐 ${code} 방 입장! 방장이 시작하기를 기다리는 중...`;
+    pvpMatch.titleElements[1].textContent = "🌐 상대 (방장)";
+  });
+  client.on('peerJoined', () => {
+    status.textContent = `🌐 상대 입장! [BATTLE START]를 누르세요. (방 ${client.room})`;
+    pvpMatch.titleElements[1].textContent = "🌐 상대";
+    document.getElementById("gameStartBtn").disabled = false;
+  });
+  client.on('peerLeft', handleOpponentLeft);
+  client.on('latency', updateNetLatency);
+  client.on('message', handleNetMessage);
+  client.on('error', ({ message }) => {
+    alert(message);
+    status.textContent = `🌐 ${message}`;
+  });
+  client.on('close', handleNetClosed);
+
+  if (room) client.joinRoom(room);
+  else client.createRoom();
+
+  // 방장만 시작 (상대가 들어오면 활성화)
+  const gameStartBtn = document.getElementById("gameStartBtn");
+  gameStartBtn.disabled = true;
+  gameStartBtn.textContent = "⚔️ BATTLE START";
+  gameStartBtn.onclick = () => launchOnlinePVP(1);
+
+  isPVPFinished = false;
+  document.getElementById("startBtn").disabled = true;
+  document.getElementById("stopBtn").disabled = false;
+  document.getElementById("stopBtn").onclick = stopPVP;
+}
+
+/**
+ * 온라인 대결 정리 (다른 모드로 바꾸거나 중지할 때)
+ */
+function leaveOnlinePVP() {
+  if (netStreamer) netStreamer.stop();
+  if (netMirror) netMirror.stop();
+  if (netClient) netClient.close();
+  netClient = null;
+  netMirror = null;
+  netStreamer = null;
+}
+
+/**
+ * 방장: 시드를 정해서 상대에게 보내고 같이 시작
+ * @param {number} round - 판 번호 (1 = 새 매치)
+ */
+function launchOnlinePVP(round) {
+  const config = { startLevel: 1, seed: resolveSeed(), laneCount: getLaneCount() };
+  netClient.send('start', { config, round, bestOf: pvpMatch.bestOf });
+  startOnlineRound(config, round);
+}
+
+/**
+ * 온라인 한 판 시작 (방장은 바로, 상대는 start 메시지를 받았을 때)
+ */
+function startOnlineRound(config, round, bestOf = pvpMatch.bestOf) {
+  document.getElementById('results-overlay').style.display = 'none';
+  document.getElementById("gameStartBtn").disabled = true;
+
+  if (round === 1) {
+    pvpMatch.wins = [0, 0];
+    pvpMatch.draws = 0;
+  }
+  pvpMatch.bestOf = bestOf;
+  pvpMatch.round = round;
+  pvpMatch.ends = [null, null];
+  pvpMatch.ready = [null, null];
+  isPVPFinished = false;
+
+  document.getElementById("max-prediction").textContent = pvpMatch.bestOf > 1
+    ? `🌐 ${round}판 (${pvpMatch.names[0]} ${pvpMatch.wins[0]} : ${pvpMatch.wins[1]} ${pvpMatch.names[1]})`
+    : "🌐 대결 시작!";
+
+  currentSeed = config.seed;
+  trackRunStats(gameEngine);
+  if (runStatsP2) runStatsP2.detach();
+  runStatsP2 = new RunStats(gameEngineP2);
+
+  gameEngine.start(config);
+  netStreamer.start();
+  netMirror.start(config);
+}
+
+/**
+ * 결과 화면의 다음 판/재대결: 두 사람 모두 준비되면 방장이 시작
+ */
+function readyOnlineRound(round) {
+  if (!netClient || !netClient.isOpen) return;
+  pvpMatch.ready[0] = round;
+  netClient.send('ready', { round });
+  document.getElementById('results-message').textContent = "⏳ 상대를 기다리는 중...";
+  startOnlineRoundIfReady();
+}
+
+function startOnlineRoundIfReady() {
+  const [mine, theirs] = pvpMatch.ready;
+  if (pvpMatch.isHost && mine && mine === theirs) launchOnlinePVP(mine);
+}
+
+/**
+ * 상대가 보낸 start 설정에서 판 시작에 필요한 값만 골라 검사
+ * (아이템/레벨/보스 정의, 목숨 수, 보상 같은 나머지는 받지 않음)
+ * @returns {Object|null} { seed, laneCount, startLevel } 또는 잘못된 값이면 null
+ */
+function onlineStartConfig(config) {
+  if (!config || typeof config !== 'object') return null;
+  const { seed, laneCount, startLevel } = config;
+  if (!Number.isInteger(seed) || seed < 0) return null;
+  if (!Number.isInteger(laneCount) || !LANE_LAYOUTS[laneCount]) return null;
+  if (!Number.isInteger(startLevel) || startLevel < 1) return null;
+  return { seed, laneCount, startLevel };
+}
+
+function handleNetMessage(message) {
+  switch (message.type) {
+    case 'start': {
+      const config = onlineStartConfig(message.config);
+      const round = Number.isInteger(message.round) && message.round > 0 ? message.round : null;
+      const bestOf = message.bestOf === 3 ? 3 : 1;
+      if (!config || !round) {
+        console.warn("잘못된 start 메시지 무시:", message);
+        break;
+      }
+      startOnlineRound(config, round, bestOf);
+      break;
+    }
+    case 'state':
+      if (!netMirror.receive(message)) console.warn("잘못된 state 메시지 무시:", message);
+      break;
+    case 'end':
+      if (!ONLINE_END_REASONS.includes(message.reason) || !netMirror.receive(message)) {
+        console.warn("잘못된 end 메시지 무시:", message);
+        break;
+      }
+      netMirror.finish();
+      handleOnlineEnd(1, { reason: message.reason, score: message.score });
+      break;
+    case 'pause':
+      if (message.paused) pauseGame('remote');
+      else resumeGame('remote');
+      break;
+    case 'ready':
+      pvpMatch.ready[1] = message.round;
+      if (!pvpMatch.ready[0]) document.getElementById('results-message').textContent = "✋ 상대가 다시 대결하고 싶어 합니다!";
+      startOnlineRoundIfReady();
+      break;
+  }
+}
+
+/**
+ * 온라인 대결 한쪽 보드 종료
+ * 상대가 탈락/보스 격파/연결 끊김이면 내 판도 멈추고 (상대에게는 'stopped'로 전달),
+ * 두 사람의 종료가 모두 모이면 판정 (양쪽이 같은 정보로 같은 결과를 냄)
+ * @param {number} index - 0 = 나, 1 = 상대
+ * @param {Object} end - { reason, score }
+ */
+function handleOnlineEnd(index, end) {
+  if (isPVPFinished) return;
+  pvpMatch.ends[index] = end;
+
+  if (index === 1 && end.reason !== 'time' && gameEngine.isGameActive) {
+    gameEngine.stop("Game Over", false); // 내 gameEnd가 다시 여기로 옴
+    return;
+  }
+
+  if (!pvpMatch.ends[0] || !pvpMatch.ends[1]) {
+    document.getElementById("max-prediction").textContent = index === 0
+      ? `🌐 내 판 종료! (${end.score}점) 상대를 기다리는 중...`
+      : `🌐 상대 시간 종료! (${end.score}점)`;
+    return;
+  }
+
+  isPVPFinished = true;
+  netMirror.stop();
+  finishPVPRound(pvpMatch.ends);
+}
+
+function handleOpponentLeft() {
+  document.getElementById("max-prediction").textContent = pvpMatch.isHost
+    ? `🌐 상대가 나갔습니다. 새 상대를 기다리는 중... (방 ${netClient.room})`
+    : "🌐 상대가 나갔습니다.";
+  pvpMatch.titleElements[1].textContent = "🌐 상대 (연결 끊김)";
+  document.getElementById("gameStartBtn").disabled = true;
+  document.getElementById('results-message').textContent = "🔌 상대가 나갔습니다.";
+
+  // 판 도중이면 나간 쪽 패배
+  if (gameEngine.isGameActive && !isPVPFinished) {
+    handleOnlineEnd(1, { reason: 'disconnect', score: netMirror.remoteScore });
+  }
+}
+
+function handleNetClosed() {
+  alert("중계 서버와 연결이 끊어졌습니다.");
+  document.getElementById("max-prediction").textContent = "🌐 서버 연결 끊김";
+  isPVPFinished = true; // 판정 없이 종료
+  if (netMirror) netMirror.stop();
+  if (netStreamer) netStreamer.stop();
+  if (gameEngine && gameEngine.isGameActive) gameEngine.stop("연결 끊김");
+  document.getElementById("gameStartBtn").disabled = true;
+}
+
+/**
+ * 상대 보드 제목에 지연 시간 표시 (상대 소식이 한동안 없으면 ⚠️)
+ */
+function updateNetLatency({ rtt }) {
+  if (!pvpMatch || !pvpMatch.online) return;
+  const title = pvpMatch.titleElements[1];
+  const base = title.textContent.replace(/ · .*$/, "");
+  const warning = netMirror && netMirror.isStale ? " ⚠️ 응답 없음" : "";
+  title.textContent = `${base} · 📶 ${rtt}ms${warning}`;
+}
+
 /**
  * 애플리케이션 중지
  */
@@ -281,6 +930,9 @@ function stop() {
   if (stabilizer) {
     stabilizer.reset();
   }
+  if (stabilizerP2) {
+    stabilizerP2.reset();
+  }
 
   startBtn.disabled = false;
   stopBtn.disabled = true;
@@ -288,37 +940,145 @@ function stop() {
 }
 
 /**
- * 예측 결과 처리 콜백
+ * 카메라 화면 나누기 켜기/끄기 (카메라 한 대로 두 사람 포즈 대결)
+ * 켜면 화면 오른쪽 사람용 안정화기와 포즈 입력을 따로 만듦
+ * @param {boolean} isSplit
  */
-function handlePrediction(predictions, pose) {
-  const stabilized = stabilizer.stabilize(predictions);
+function setPoseSplit(isSplit) {
+  if (poseEngine) poseEngine.setSplit(isSplit);
+  poseClassNames = [null, null];
+
+  if (isSplit && poseEngine) {
+    stabilizerP2 = new PredictionStabilizer({
+      threshold: 0.7,
+      smoothingFrames: 3
+    });
+    poseInputP2 = new PoseSource({ pauseGesture: new HandsUpGesture({ holdMs: 800 }) });
+  } else {
+    if (poseInputP2 && poseInputP2.controller) poseInputP2.controller.unbind(poseInputP2);
+    stabilizerP2 = null;
+    poseInputP2 = null;
+  }
+}
 
-  for (let i = 0; i < predictions.length; i++) {
-    const classPrediction =
-      predictions[i].className + ": " + predictions[i].probability.toFixed(2);
-    labelContainer.childNodes[i].innerHTML = classPrediction;
+/**
+ * 예측 결과 처리 콜백
+ * @param {Array} predictions
+ * @param {Object} pose
+ * @param {number} region - 화면 나누기 영역 (0 = 왼쪽/P1, 1 = 오른쪽/P2)
+ */
+function handlePrediction(predictions, pose, region = 0) {
+  const isP2 = region === 1 && stabilizerP2;
+  const stabilized = (isP2 ? stabilizerP2 : stabilizer).stabilize(predictions);
+
+  // 확률 목록은 P1(왼쪽) 것만 표시
+  if (!isP2) {
+    for (let i = 0; i < predictions.length; i++) {
+      const classPrediction =
+        predictions[i].className + ": " + predictions[i].probability.toFixed(2);
+      labelContainer.childNodes[i].innerHTML = classPrediction;
+    }
   }
 
   const maxPredictionDiv = document.getElementById("max-prediction");
-  maxPredictionDiv.innerHTML = stabilized.className || "감지 중...";
-
-  if (gameEngine && gameEngine.isGameActive && stabilized.className) {
-    gameEngine.onPoseDetected(stabilized.className);
+  if (stabilizerP2) {
+    poseClassNames[isP2 ? 1 : 0] = stabilized.className;
+    maxPredictionDiv.innerHTML = poseClassNames
+      .map((name, i) => `P${i + 1}: ${name || "감지 중..."}`)
+      .join(" · ");
+  } else {
+    maxPredictionDiv.innerHTML = stabilized.className || "감지 중...";
   }
+
+  // 레인 이동 / 두 손 들기 일시정지는 그 사람의 컨트롤러로
+  const input = isP2 ? poseInputP2 : poseInput;
+  if (input) input.feed(stabilized.className, pose);
 }
 
+/**
+ * 웹캠 프레임이 끊기면 자동 일시정지
+ */
+function handleWebcamStall() {
+  document.getElementById("max-prediction").textContent = "📷 카메라 신호 없음 - 일시정지";
+  pauseGame('webcam');
+}
+
+function handleWebcamRecover() {
+  document.getElementById("max-prediction").textContent = "📷 카메라 복구됨! P 또는 두 손 들기로 재개";
+}
+
+// Pause Logic
+function activeEngines() {
+  // 온라인 상대 보드는 상대 진행을 따라가므로 여기서 멈추지 않음
+  const mirror = netMirror ? netMirror.engine : null;
+  return [gameEngine, gameEngineP2].filter(engine => engine && engine.isGameActive && engine !== mirror);
+}
+
+/**
+ * 진행 중인 모든 게임 일시정지 (PVP면 양쪽 모두, 온라인이면 상대에게도 알림)
+ * @param {string} reason - 'manual' | 'hidden' | 'webcam' | 'remote' (상대가 멈춤)
+ */
+function pauseGame(reason = 'manual') {
+  const engines = activeEngines();
+  engines.forEach(engine => engine.pause(reason));
+  if (engines.length > 0 && reason !== 'remote') sendNetPause(true);
+}
+
+function resumeGame(reason = 'manual') {
+  const engines = activeEngines();
+  engines.forEach(engine => engine.resume());
+  if (engines.length > 0 && reason !== 'remote') sendNetPause(false);
+}
+
+function sendNetPause(paused) {
+  if (netClient && pvpMatch && pvpMatch.online) netClient.send('pause', { paused });
+}
+
+function togglePause() {
+  const engines = activeEngines();
+  if (engines.length === 0) return;
+
+  if (engines.some(engine => engine.isPaused)) resumeGame();
+  else pauseGame('manual');
+}
+window.togglePause = togglePause;
+
+// 탭을 떠나면 자동 일시정지 (돌아와서 직접 재개)
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) pauseGame('hidden');
+});
+
 /**
  * 포즈 그리기 콜백
+ * @param {Array} poses - 영역별 포즈 (화면 나누기면 사람마다 다른 색으로 그림)
  */
-function drawPose(pose) {
+function drawPose(poses) {
   if (poseEngine.webcam && poseEngine.webcam.canvas) {
     ctx.drawImage(poseEngine.webcam.canvas, 0, 0);
 
-    if (pose) {
-      const minPartConfidence = 0.5;
-      tmPose.drawKeypoints(pose.keypoints, minPartConfidence, ctx);
-      tmPose.drawSkeleton(pose.keypoints, minPartConfidence, ctx);
+    const isSplit = poses.length > 1;
+    if (isSplit) {
+      // 가운데 경계선
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.6)";
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.moveTo(ctx.canvas.width / 2, 0);
+      ctx.lineTo(ctx.canvas.width / 2, ctx.canvas.height);
+      ctx.stroke();
+      ctx.setLineDash([]);
     }
+
+    const minPartConfidence = 0.5;
+    poses.forEach((pose, i) => {
+      if (!pose) return;
+      if (isSplit) {
+        tmPose.drawKeypoints(pose.keypoints, minPartConfidence, ctx, 4, POSE_COLORS[i], POSE_COLORS[i]);
+        tmPose.drawSkeleton(pose.keypoints, minPartConfidence, ctx, 2, POSE_COLORS[i]);
+      } else {
+        tmPose.drawKeypoints(pose.keypoints, minPartConfidence, ctx);
+        tmPose.drawSkeleton(pose.keypoints, minPartConfidence, ctx);
+      }
+    });
   }
 }
 
@@ -330,25 +1090,21 @@ function startGameMode(config) {
     return;
   }
 
-  // Set Single Player Game End Callback
-  gameEngine.setGameEndCallback((score, level, victory, engine) => {
-    if (victory) {
-      // Show Ending Credits
-      const endingOverlay = document.getElementById('ending-overlay');
-      if (endingOverlay) {
-        endingOverlay.style.display = 'flex';
-      } else {
-        alert("VICTORY! 🏆 Dragon Defeated!\n(Ending screen missing)");
-        location.reload();
-      }
-    } else {
-      // Normal Game Over
-      alert(`GAME OVER\n\nFinal Score: ${score}\nLevel: ${level}`);
-      location.reload();
-    }
+  // 이번 판 종료 시 결과 화면 (once: 다음 판에 리스너가 쌓이지 않음)
+  const engine = gameEngine;
+  engine.once('gameEnd', ({ victory }) => {
+    showResults({
+      title: victory ? "🏆 GAME CLEAR 🏆" : "GAME OVER",
+      isVictory: victory,
+      engine,
+      mode: 'single',
+      replayRuns: [{ label: "YOU", recording: engine.recording }]
+    });
   });
 
-  gameEngine.start(config);
+  currentSeed = config.seed ?? currentSeed ?? resolveSeed();
+  trackRunStats(gameEngine);
+  gameEngine.start({ laneCount: getLaneCount(), ...config, seed: currentSeed });
 }
 
 // Roulette Logic
@@ -356,6 +1112,8 @@ let isSpinning = false;
 let currentRotation = 0;
 
 function showRoulette() {
+  // Seed is fixed before the spin so the roulette result is reproducible too
+  currentSeed = resolveSeed();
   document.getElementById('roulette-overlay').style.display = 'flex';
   document.getElementById('spin-btn').disabled = false;
   document.getElementById('gameStartBtn').disabled = true;
@@ -366,7 +1124,8 @@ function spinRoulette() {
   isSpinning = true;
   document.getElementById('spin-btn').disabled = true;
 
-  const rand = Math.floor(Math.random() * 100);
+  const rng = new SeededRandom(currentSeed).fork('roulette');
+  const rand = rng.int(100);
   let targetType = 'kkwang';
   if (rand >= 90) targetType = 'gun';
   else if (rand >= 60) targetType = 'life';
@@ -378,11 +1137,11 @@ function spinRoulette() {
   };
 
   const candidates = map[targetType];
-  const segmentIndex = candidates[Math.floor(Math.random() * candidates.length)];
+  const segmentIndex = rng.pick(candidates);
 
   const extraSpins = 360 * 5;
   const centerAngle = segmentIndex * 36 + 18;
-  const noise = Math.floor(Math.random() * 20) - 10;
+  const noise = rng.int(20) - 10;
   const targetRotation = (360 - centerAngle) + extraSpins + noise;
 
   const wheel = document.getElementById('roulette-wheel');
@@ -451,26 +1210,22 @@ async function handleTesterBtn() {
 
     gameEngine.devGunMode = true;
 
-    // Fix: Attach Game End Callback for Tester Mode too
-    gameEngine.setGameEndCallback((score, level, victory, engine) => {
-      if (victory) {
-        const endingOverlay = document.getElementById('ending-overlay');
-        if (endingOverlay) {
-          endingOverlay.style.display = 'flex';
-        } else {
-          alert("VICTORY! 🏆 Dragon Defeated!");
-          location.reload();
-        }
-      } else {
-        alert(`GAME OVER\n\nFinal Score: ${score}\nLevel: ${level}`);
-        location.reload();
-      }
+    // Tester runs are flagged so they never enter the real rankings
+    const engine = gameEngine;
+    engine.once('gameEnd', ({ victory }) => {
+      showResults({
+        title: victory ? "🏆 GAME CLEAR 🏆" : "GAME OVER",
+        isVictory: victory,
+        isTester: true,
+        engine,
+        mode: 'single',
+        replayRuns: [{ label: "TESTER", recording: engine.recording }]
+      });
     });
 
-    gameEngine.start({ startLevel: targetLevel });
-
-    gameEngine.maxMisses = 5;
-    gameEngine.updateLivesUI();
+    currentSeed = resolveSeed();
+    trackRunStats(gameEngine);
+    gameEngine.start({ startLevel: targetLevel, seed: currentSeed, maxMisses: 5, laneCount: getLaneCount() });
   } else if (password === '7777') {
     alert("비밀번호 확인: 무한 총 모드 활성화! (W키 사용)");
     gameEngine.devGunMode = true;
@@ -480,11 +1235,353 @@ async function handleTesterBtn() {
 }
 window.handleTesterBtn = handleTesterBtn;
 
+// Leaderboard / Results Logic
+const leaderboard = new Leaderboard();
+const skillRatings = new SkillRatings(); // 맞춤 난이도: 이름별 실력 점수
+let pendingResult = null; // 결과 화면에 떠 있는 판 (기록 저장 전)
+
+/**
+ * 엔진의 이벤트를 모으는 통계 수집기 연결 (이전 것은 해제)
+ */
+function trackRunStats(engine) {
+  if (runStats) runStats.detach();
+  runStats = new RunStats(engine);
+}
+
+/**
+ * 이번 판을 실제로 조작한 장치 (레인을 가장 많이 바꾼 것)
+ * 포즈 모드여도 키보드로만 했으면 키보드. 움직인 적이 없으면 고른 모드
+ */
+function currentInputMethod(engine) {
+  const moves = runStats && runStats.core === engine ? runStats.laneChanges : {};
+  const used = Object.keys(INPUT_LABELS).filter(source => moves[source] > 0);
+  if (used.length === 0) return inputMode;
+  return used.reduce((most, source) => (moves[source] > moves[most] ? source : most));
+}
+
+/**
+ * 게임 종료 결과 화면 (점수 요약 + 이름 입력 + 랭킹)
+ * @param {Object} result - { title, isVictory, isTester, unranked, nextRound, rematch, players, engine, mode, difficulty, lines, replayRuns }
+ *   unranked: 랭킹 저장 없음 (2인 대결), nextRound: '다음 판' 버튼 표시 (3판 2선승)
+ *   rematch: { canChangeDifficulty, difficulty } 재대결 버튼 표시 (PVP 매치 끝)
+ *   players: PVP 두 사람 [{ name, engine, reason, stats }] (나란히 비교 + 각자 플레이 분석)
+ *   lines: 요약에 덧붙일 줄 (이름 같은 입력이 섞이므로 HTML이 아닌 글자 그대로 표시)
+ */
+function showResults(result) {
+  const engine = result.engine;
+  pendingResult = {
+    ...result,
+    run: {
+      score: engine.score,
+      level: engine.level,
+      mode: result.mode,
+      difficulty: result.difficulty || null,
+      reward: engine.reward,
+      input: currentInputMethod(engine),
+      seed: engine.seed,
+      isTester: !!result.isTester
+    }
+  };
+
+  document.getElementById('results-title').textContent = result.title;
+  const summary = result.players
+    ? [...(result.lines || []), `Seed: ${engine.seed}`]
+    : [
+      `점수: ${engine.score}`,
+      `레벨: ${engine.level}`,
+      `최대 콤보: ${engine.maxCombo}`,
+      ...(result.lines || []),
+      `Seed: ${engine.seed}`
+    ];
+  const versus = result.players ? versusTable(result.players) : "";
+  document.getElementById('results-summary').innerHTML = versus + summary.map(line => `<div>${escapeHTML(line)}</div>`).join("");
+
+  const statsContainer = document.getElementById('results-stats');
+  statsContainer.classList.toggle('versus', !!result.players);
+  if (result.players) {
+    renderVersusStats(statsContainer, result.players);
+  } else if (runStats && runStats.core === engine) {
+    StatsView.render(statsContainer, runStats.summary(), {
+      laneNames: engine.laneLayout.poses.map(pose => LANE_NAMES[pose]),
+      catalog: engine.itemCatalog
+    });
+  } else {
+    statsContainer.innerHTML = "";
+  }
+
+  const tableKey = result.isTester ? 'tester' : Leaderboard.tableKey(result.mode, result.difficulty);
+  document.getElementById('results-message').textContent = "";
+  document.getElementById('results-ending-btn').style.display = result.isVictory ? '' : 'none';
+  document.getElementById('results-replay-btn').disabled = !(result.replayRuns || []).some(run => run.recording);
+  document.getElementById('results-next-btn').style.display = result.nextRound ? '' : 'none';
+  document.getElementById('results-pvp').style.display = result.rematch ? '' : 'none';
+  if (result.rematch) {
+    document.getElementById('results-difficulty-box').style.display = result.rematch.canChangeDifficulty ? '' : 'none';
+    document.getElementById('results-difficulty').value = result.rematch.difficulty || 'medium';
+  }
+  document.getElementById('results-table').style.display = result.unranked ? 'none' : '';
+  document.getElementById('results-leaderboard').style.display = result.unranked ? 'none' : '';
+
+  const nameInput = document.getElementById('results-name');
+  nameInput.value = leaderboard.lastName();
+
+  if (result.unranked) {
+    document.getElementById('results-save').style.display = 'none';
+    document.getElementById('results-message').textContent = "👥 2인 대결은 랭킹에 기록되지 않습니다.";
+  } else if (result.isTester) {
+    // 테스터 기록은 이름 없이 바로 (별도 표에) 저장
+    document.getElementById('results-save').style.display = 'none';
+    saveResultScore();
+  } else {
+    document.getElementById('results-save').style.display = 'flex';
+    fillLeaderboardSelect('results-table', tableKey);
+    renderLeaderboard('results-leaderboard', tableKey);
+  }
+
+  document.getElementById('results-overlay').style.display = 'flex';
+  if (!result.isTester && !result.unranked) nameInput.focus();
+}
+
+/**
+ * PVP 결과: 두 사람 기록을 나란히 비교하는 표
+ * @param {Array} players - [{ name, engine, reason }]
+ */
+function versusTable(players) {
+  const rows = [
+    ["점수", p => p.engine.score],
+    ["레벨", p => p.engine.level],
+    ["최대 콤보", p => p.engine.maxCombo],
+    ["남은 목숨", p => "❤️".repeat(Math.max(0, p.engine.maxMisses - p.engine.missedCount)) || "-"],
+    ["종료", p => END_REASON_LABELS[p.reason || 'stopped'] || p.reason]
+  ];
+
+  return `<table class="versus-table">
+      <thead><tr><th></th>${players.map(p => `<th>${escapeHTML(p.name)}</th>`).join("")}</tr></thead>
+      <tbody>${rows.map(([label, cell]) => `<tr><td>${label}</td>${players.map(p => `<td>${cell(p)}</td>`).join("")}</tr>`).join("")}</tbody>
+    </table>`;
+}
+
+/**
+ * PVP 결과: 두 사람의 플레이 분석을 나란히
+ */
+function renderVersusStats(container, players) {
+  container.innerHTML = players
+    .map((p, i) => `<div class="versus-stats"><h4>${escapeHTML(p.name)}</h4><div id="results-stats-p${i + 1}"></div></div>`)
+    .join("");
+
+  players.forEach((p, i) => {
+    const target = document.getElementById(`results-stats-p${i + 1}`);
+    if (!p.stats || p.stats.core !== p.engine) return;
+    StatsView.render(target, p.stats.summary(), {
+      laneNames: p.engine.laneLayout.poses.map(pose => LANE_NAMES[pose]),
+      catalog: p.engine.itemCatalog
+    });
+  });
+}
+
+function saveResultScore() {
+  if (!pendingResult || pendingResult.saved) return;
+
+  const name = document.getElementById('results-name').value;
+  if (!pendingResult.run.isTester) leaderboard.rememberName(name);
+
+  const entry = leaderboard.add({ ...pendingResult.run, name });
+  pendingResult.saved = true;
+
+  const tableKey = Leaderboard.tableKey(entry.mode, entry.difficulty);
+  document.getElementById('results-save').style.display = 'none';
+  document.getElementById('results-message').textContent = entry.isTester
+    ? "🛠️ 테스터 기록은 랭킹에 포함되지 않습니다."
+    : `🏆 ${entry.rank}위로 저장되었습니다!`;
+
+  fillLeaderboardSelect('results-table', tableKey);
+  renderLeaderboard('results-leaderboard', tableKey, entry.id);
+}
+
+function downloadResultReplay() {
+  if (pendingResult) downloadReplay(pendingResult.replayRuns || []);
+}
+
+function showEnding() {
+  document.getElementById('results-overlay').style.display = 'none';
+  document.getElementById('ending-seed').textContent = pendingResult.engine.seed;
+  document.getElementById('ending-combo').textContent = pendingResult.engine.maxCombo;
+  document.getElementById('ending-overlay').style.display = 'flex';
+}
+
+/**
+ * 랭킹 표 선택 상자 채우기 (모드/난이도별 + 테스터)
+ */
+function fillLeaderboardSelect(selectId, selectedKey) {
+  const select = document.getElementById(selectId);
+  if (!select) return;
+
+  const tables = [...Leaderboard.TABLES, { key: 'tester', label: '🛠️ 테스터' }];
+  select.innerHTML = tables
+    .map(table => `<option value="${table.key}"${table.key === selectedKey ? ' selected' : ''}>${table.label}</option>`)
+    .join("");
+}
+
+const REWARD_LABELS = { life: "❤️", gun: "🔫", kkwang: "💩" };
+const INPUT_LABELS = { pose: "🏃", keyboard: "⌨️", gamepad: "🎮", touch: "📱" };
+
+/**
+ * 랭킹 표 그리기 (상위 10개)
+ */
+function renderLeaderboard(containerId, tableKey, highlightId = null) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const entries = leaderboard.table(tableKey).slice(0, 10);
+  if (entries.length === 0) {
+    container.innerHTML = `<p class="leaderboard-empty">아직 기록이 없습니다.</p>`;
+    return;
+  }
+
+  const rows = entries.map((entry, i) => {
+    const cells = [
+      i + 1,
+      escapeHTML(entry.name),
+      entry.score,
+      entry.level,
+      REWARD_LABELS[entry.reward] || "-",
+      INPUT_LABELS[entry.input] || "-",
+      new Date(entry.date).toLocaleDateString()
+    ];
+    const highlight = entry.id === highlightId ? ' class="highlight"' : '';
+    return `<tr${highlight}>${cells.map(cell => `<td>${cell}</td>`).join("")}</tr>`;
+  });
+
+  container.innerHTML = `
+    <table>
+      <thead><tr><th>#</th><th>이름</th><th>점수</th><th>레벨</th><th>보상</th><th>입력</th><th>날짜</th></tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>`;
+}
+
+function escapeHTML(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+window.saveResultScore = saveResultScore;
+window.downloadResultReplay = downloadResultReplay;
+window.showEnding = showEnding;
+window.renderLeaderboard = renderLeaderboard;
+
+// Replay Logic
+let replayPlayer = null;
+let replayFile = null;
+
+/**
+ * 게임 종료 후 리플레이 파일(JSON) 저장
+ * @param {Array} runs - [{ label, recording }]
+ */
+function downloadReplay(runs) {
+  const recorded = runs.filter(run => run.recording);
+  if (recorded.length === 0) return;
+
+  ReplayFile.download(ReplayFile.create(recorded), `replay-${recorded[0].recording.seed}.json`);
+}
+
+function openReplayFile() {
+  document.getElementById('replay-file').click();
+}
+
+async function handleReplayFile(event) {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) return;
+
+  try {
+    replayFile = ReplayFile.parse(await file.text());
+  } catch (error) {
+    alert("리플레이를 불러올 수 없습니다.\n" + error.message);
+    return;
+  }
+
+  const runSelect = document.getElementById('replay-run');
+  runSelect.innerHTML = "";
+  replayFile.runs.forEach((run, i) => {
+    const option = document.createElement('option');
+    option.value = i;
+    option.textContent = `${run.label || `Run ${i + 1}`} (Seed ${run.seed})`;
+    runSelect.appendChild(option);
+  });
+
+  startReplay(0);
+}
+
+/**
+ * 불러온 리플레이를 #game-container 에서 재생
+ */
+function startReplay(runIndex) {
+  closeRuleModal();
+  if (gameEngine && gameEngine.isGameActive) stop();
+
+  document.getElementById('game-container').style.display = '';
+  document.querySelector('.game-info').style.display = '';
+  document.getElementById('replay-controls').style.display = 'flex';
+
+  if (!replayPlayer) {
+    replayPlayer = new ReplayPlayer(document);
+    replayPlayer.onUpdate = updateReplayControls;
+  }
+  replayPlayer.load(replayFile.runs[runIndex]);
+  replayPlayer.setSpeed(parseFloat(document.getElementById('replay-speed').value));
+  document.getElementById('replay-seek').max = replayPlayer.totalSteps;
+  updateReplayControls(replayPlayer);
+}
+
+function toggleReplayPlay() {
+  if (replayPlayer) replayPlayer.togglePlay();
+  updateReplayControls(replayPlayer);
+}
+
+function seekReplay(value) {
+  if (replayPlayer) replayPlayer.seek(parseInt(value));
+}
+
+function setReplaySpeed(value) {
+  if (replayPlayer) replayPlayer.setSpeed(parseFloat(value));
+}
+
+function closeReplay() {
+  if (replayPlayer) replayPlayer.pause();
+  document.getElementById('replay-controls').style.display = 'none';
+}
+
+function updateReplayControls(player) {
+  if (!player) return;
+  const stepSeconds = GameCore.STEP_MS / 1000;
+  const seek = document.getElementById('replay-seek');
+
+  // Don't fight the user while they drag the slider
+  if (document.activeElement !== seek) seek.value = player.engine.stepCount;
+  document.getElementById('replay-time').textContent =
+    `${(player.engine.stepCount * stepSeconds).toFixed(1)}s / ${(player.totalSteps * stepSeconds).toFixed(1)}s`;
+  document.getElementById('replay-play-btn').textContent = player.isPlaying ? "⏸️" : "▶️";
+}
+
+window.openReplayFile = openReplayFile;
+window.handleReplayFile = handleReplayFile;
+window.startReplay = startReplay;
+window.toggleReplayPlay = toggleReplayPlay;
+window.seekReplay = seekReplay;
+window.setReplaySpeed = setReplaySpeed;
+window.closeReplay = closeReplay;
+
 // Rule Modal Logic
 let ruleTimerInterval;
 let ruleTimeLeft = 20;
 
 window.onload = function () {
+  fillLeaderboardSelect('rule-leaderboard-table', 'single');
+  renderLeaderboard('rule-leaderboard', 'single');
+  const pvpNameInput = document.getElementById('pvp-player-name');
+  if (pvpNameInput) pvpNameInput.value = leaderboard.lastName();
+
   const timerSpan = document.getElementById('rule-timer');
   const modal = document.getElementById('rule-modal');
 
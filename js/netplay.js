@@ -0,0 +1,329 @@
+/**
+ * netplay.js
+ * Online PVP over a WebSocket relay (see tools/relay.js)
+ *
+ * Both players start from the same seed, so the item streams are identical.
+ * Each browser plays its own board and streams the board's recorded inputs
+ * (lane changes, gun) with its step count and score. The opponent's board is
+ * a mirror: a second engine on the same seed that replays those inputs at the
+ * steps they happened on, the way a replay file is played back (replay.js).
+ * The mirror trails the real board by the network delay but never drifts.
+ *
+ * Relay messages (JSON, { type, ... }):
+ *   to the relay:    create { }, join { room }, ping { t }
+ *   from the relay:  created { room }, joined { room }, peerJoined, peerLeft, pong { t }, error { message }
+ *   between players: start { config: { seed, laneCount, startLevel }, round, bestOf },
+ *                    state { step, score, inputs }, end { reason, score, step, inputs },
+ *                    pause { paused }, ready { round }
+ */
+
+class NetClient {
+  static EVENTS = ['created', 'joined', 'peerJoined', 'peerLeft', 'latency', 'message', 'close', 'error'];
+  static PING_MS = 2000;
+  static DEFAULT_PORT = 8787;
+
+  /**
+   * @param {string} url - Relay address (ws://host:port)
+   */
+  constructor(url) {
+    this.url = url;
+    this.socket = null;
+    this.room = null;
+    this.rtt = null; // Round trip to the relay, ms (null until the first pong)
+    this.pingTimer = null;
+    this.events = new EventBus(NetClient.EVENTS);
+  }
+
+  /**
+   * Relay on the machine serving the page, unless given one.
+   */
+  static defaultUrl() {
+    return `ws://${location.hostname || 'localhost'}:${NetClient.DEFAULT_PORT}`;
+  }
+
+  on(type, fn) {
+    return this.events.on(type, fn);
+  }
+
+  /**
+   * Resolves once connected; rejects if the relay can't be reached.
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      let isOpen = false;
+      this.socket = new WebSocket(this.url);
+
+      this.socket.addEventListener('open', () => {
+        isOpen = true;
+        this.pingTimer = setInterval(() => this.send('ping', { t: performance.now() }), NetClient.PING_MS);
+        resolve(this);
+      });
+      this.socket.addEventListener('message', (e) => this.onMessage(e.data));
+      this.socket.addEventListener('close', () => {
+        clearInterval(this.pingTimer);
+        if (isOpen && this.socket) this.events.emit('close', {}); // Not when we closed it ourselves
+        else reject(new Error(`${this.url} 에 연결할 수 없습니다.`));
+      });
+    });
+  }
+
+  close() {
+    clearInterval(this.pingTimer);
+    if (this.socket) this.socket.close();
+    this.socket = null;
+  }
+
+  get isOpen() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  send(type, detail = {}) {
+    if (this.isOpen) this.socket.send(JSON.stringify({ type, ...detail }));
+  }
+
+  createRoom() {
+    this.send('create');
+  }
+
+  joinRoom(room) {
+    this.send('join', { room: room.trim().toUpperCase() });
+  }
+
+  onMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return; // Not ours
+    }
+
+    switch (message.type) {
+      case 'pong':
+        this.rtt = Math.round(performance.now() - message.t);
+        this.events.emit('latency', { rtt: this.rtt });
+        break;
+      case 'created':
+      case 'joined':
+        this.room = message.room;
+        this.events.emit(message.type, message);
+        break;
+      case 'peerJoined':
+      case 'peerLeft':
+      case 'error':
+        this.events.emit(message.type, message);
+        break;
+      default:
+        // Everything else comes from the other player
+        this.events.emit('message', message);
+    }
+  }
+}
+
+/**
+ * Sends a local board to the opponent: new recorded inputs + step + score
+ * every SEND_MS, and the final state when the board ends.
+ */
+class BoardStreamer {
+  static SEND_MS = 100;
+
+  /**
+   * @param {GameCore} engine - Local board (must be recording)
+   * @param {NetClient} client
+   */
+  constructor(engine, client) {
+    this.engine = engine;
+    this.client = client;
+    this.sent = 0; // Recorded inputs already sent
+    this.timer = null;
+    this.offEnd = null;
+  }
+
+  start() {
+    this.stop();
+    this.sent = 0;
+    this.timer = setInterval(() => this.sendState(), BoardStreamer.SEND_MS);
+    this.offEnd = this.engine.once('gameEnd', ({ reason, score }) => {
+      this.stop();
+      this.client.send('end', { reason, score, step: this.engine.stepCount, inputs: this.takeInputs() });
+    });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.offEnd) this.offEnd();
+    this.offEnd = null;
+  }
+
+  takeInputs() {
+    const inputs = this.engine.recording ? this.engine.recording.inputs.slice(this.sent) : [];
+    this.sent += inputs.length;
+    return inputs;
+  }
+
+  sendState() {
+    if (!this.engine.isGameActive) return;
+    this.client.send('state', { step: this.engine.stepCount, score: this.engine.score, inputs: this.takeInputs() });
+  }
+}
+
+/**
+ * Opponent's board: replays streamed inputs on a local engine, never running
+ * ahead of the last step the opponent reported.
+ */
+class RemoteMirror {
+  static LAG_STEPS = 15; // Further behind than this (~250 ms) = catch up
+  static CATCH_UP_STEPS = 2; // Extra steps per frame while catching up
+  static STALE_MS = 3000; // No news for this long = connection trouble
+
+  /**
+   * @param {GameEngine} engine - Engine on the opponent's board
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.inputs = [];
+    this.inputIndex = 0;
+    this.remoteStep = 0; // Latest step the opponent reported
+    this.remoteScore = 0;
+    this.lastHeardAt = 0;
+    this.accumulator = 0;
+    this.lastFrameTime = 0;
+    this.frameId = null;
+  }
+
+  /**
+   * @param {Object} config - Same start config (seed, laneCount, ...) as the opponent's board
+   */
+  start(config) {
+    this.stop();
+    this.inputs = [];
+    this.inputIndex = 0;
+    this.remoteStep = 0;
+    this.remoteScore = 0;
+    this.accumulator = 0;
+    this.lastHeardAt = performance.now();
+
+    this.engine.start({ ...config, record: false, autoLoop: false });
+    this.lastFrameTime = performance.now();
+    this.frameId = requestAnimationFrame((t) => this.loop(t));
+  }
+
+  stop() {
+    if (this.frameId) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  /**
+   * A state or end message from the opponent. A malformed one (see isValidFrame)
+   * is dropped whole.
+   * @returns {boolean} false if the message was dropped
+   */
+  receive(message) {
+    if (!this.isValidFrame(message)) return false;
+    const { step, score, inputs = [] } = message;
+    this.inputs.push(...inputs);
+    this.remoteStep = step;
+    this.remoteScore = score;
+    this.lastHeardAt = performance.now();
+    return true;
+  }
+
+  /**
+   * Step and score are non-negative integers, the step never goes back, and the
+   * inputs are recorded-input shapes (see GameCore.recordInput) in step order,
+   * none before an input already received or after the reported step.
+   */
+  isValidFrame(message) {
+    if (!message || typeof message !== 'object') return false;
+    const { step, score, inputs = [] } = message;
+    if (!Number.isInteger(step) || step < this.remoteStep) return false;
+    if (!Number.isInteger(score) || score < 0) return false;
+    if (!Array.isArray(inputs)) return false;
+
+    const last = this.inputs[this.inputs.length - 1];
+    let previousStep = last ? last.step : 0;
+    return inputs.every(entry => {
+      if (!RemoteMirror.isValidInput(entry) || entry.step < previousStep || entry.step > step) return false;
+      previousStep = entry.step;
+      return true;
+    });
+  }
+
+  static isValidInput(entry) {
+    if (!entry || typeof entry !== 'object' || !Number.isInteger(entry.step) || entry.step < 0) return false;
+    switch (entry.action) {
+      case 'move':
+        return Number.isInteger(entry.lane); // moveTo ignores lanes off the board
+      case 'gun':
+        return true;
+      case 'stop':
+        return typeof entry.message === 'string' && typeof entry.reason === 'string';
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * True if the opponent has been silent for a while during a game.
+   */
+  get isStale() {
+    return this.engine.isGameActive && performance.now() - this.lastHeardAt > RemoteMirror.STALE_MS;
+  }
+
+  /**
+   * Plays everything received so far at once (the opponent's board has ended).
+   */
+  finish() {
+    this.stop();
+    while (this.engine.isGameActive && this.engine.stepCount < this.remoteStep) {
+      this.stepOnce();
+    }
+    this.applyDueInputs();
+    this.engine.render();
+  }
+
+  applyDueInputs() {
+    while (this.inputIndex < this.inputs.length && this.inputs[this.inputIndex].step <= this.engine.stepCount) {
+      const entry = this.inputs[this.inputIndex++];
+      // A gun only goes off if this board has one to use, as fireGun checks on the opponent's side
+      if (entry.action === 'gun') {
+        const engine = this.engine;
+        if (!(engine.hasGun || engine.devGunMode) || engine.gunActive) continue;
+        if (!engine.devGunMode) engine.hasGun = false;
+      }
+      this.engine.applyInput(entry);
+    }
+  }
+
+  stepOnce() {
+    this.engine.step();
+    this.applyDueInputs();
+  }
+
+  loop(timestamp) {
+    if (!this.engine.isGameActive) return;
+    this.applyDueInputs(); // Inputs made before the opponent's first step
+
+    this.accumulator += Math.min(timestamp - this.lastFrameTime, GameCore.MAX_FRAME_MS);
+    this.lastFrameTime = timestamp;
+    let steps = Math.floor(this.accumulator / GameCore.STEP_MS);
+    this.accumulator -= steps * GameCore.STEP_MS;
+
+    // Real-time pace, but never past what the opponent has played.
+    // Far behind (lag spike): catch up a little faster than real time.
+    const behind = this.remoteStep - this.engine.stepCount;
+    if (behind > RemoteMirror.LAG_STEPS) steps += RemoteMirror.CATCH_UP_STEPS;
+    steps = Math.min(steps, behind);
+
+    for (let i = 0; i < steps && this.engine.isGameActive; i++) {
+      this.stepOnce();
+    }
+
+    this.engine.render();
+    if (this.engine.isGameActive) this.frameId = requestAnimationFrame((t) => this.loop(t));
+  }
+}
+
+window.NetClient = NetClient;
+window.BoardStreamer = BoardStreamer;
+window.RemoteMirror = RemoteMirror;
@@ -3,6 +3,8 @@
  * 웹캠 + TM 포즈 모델 로딩 및 예측(label) 생성 담당
  *
  * Teachable Machine 포즈 모델을 로드하고 웹캠에서 실시간 포즈 인식을 수행
+ * 화면 나누기(setSplit)를 켜면 웹캠 화면 왼쪽/오른쪽 절반을 따로 인식해
+ * 카메라 한 대로 두 사람을 동시에 인식
  */
 
 class PoseEngine {
@@ -15,6 +17,19 @@ class PoseEngine {
     this.animationId = null;
     this.onPrediction = null; // 예측 결과 콜백
     this.onDraw = null; // 그리기 콜백
+
+    // 화면 나누기: null = 전체 화면 하나, 아니면 [{ x, width }] (웹캠 폭 기준 비율, 왼쪽부터)
+    this.regions = null;
+    this.regionCanvases = []; // 영역별로 잘라 붙일 캔버스
+
+    // 웹캠 멈춤 감지
+    this.stallTimeout = 1500; // 이 시간 동안 새 프레임이 없으면 멈춤으로 판단 (ms)
+    this.lastFrameAt = 0;
+    this.lastVideoTime = -1;
+    this.isStalled = false;
+    this.stallCheckId = null;
+    this.onStall = null; // 멈춤 콜백
+    this.onRecover = null; // 복구 콜백
   }
 
   /**
@@ -48,6 +63,13 @@ class PoseEngine {
    */
   start() {
     this.isRunning = true;
+    this.lastFrameAt = performance.now();
+    this.isStalled = false;
+
+    // rAF 루프 자체가 멈출 수 있으므로(예측이 끝나지 않는 경우) 타이머로 따로 검사
+    if (this.stallCheckId) clearInterval(this.stallCheckId);
+    this.stallCheckId = setInterval(() => this.checkStall(), 500);
+
     this.loop();
   }
 
@@ -56,6 +78,10 @@ class PoseEngine {
    */
   stop() {
     this.isRunning = false;
+    if (this.stallCheckId) {
+      clearInterval(this.stallCheckId);
+      this.stallCheckId = null;
+    }
     if (this.animationId) {
       window.cancelAnimationFrame(this.animationId);
       this.animationId = null;
@@ -73,14 +99,55 @@ class PoseEngine {
     if (!this.isRunning) return;
 
     this.webcam.update(); // 웹캠 프레임 업데이트
+    this.trackVideoFrame();
     await this.predict();
     this.animationId = window.requestAnimationFrame(() => this.loop());
   }
 
+  /**
+   * 비디오가 실제로 새 프레임을 받았는지 기록
+   */
+  trackVideoFrame() {
+    const video = this.webcam.webcam; // tmPose.Webcam 내부 <video>
+    const videoTime = video ? video.currentTime : this.lastVideoTime + 1;
+
+    if (videoTime !== this.lastVideoTime) {
+      this.lastVideoTime = videoTime;
+      this.lastFrameAt = performance.now();
+    }
+  }
+
+  /**
+   * 일정 시간 새 프레임이 없으면 onStall, 다시 들어오면 onRecover 호출
+   */
+  checkStall() {
+    if (!this.isRunning) return;
+
+    const stalled = performance.now() - this.lastFrameAt > this.stallTimeout;
+    if (stalled && !this.isStalled) {
+      this.isStalled = true;
+      if (this.onStall) this.onStall();
+    } else if (!stalled && this.isStalled) {
+      this.isStalled = false;
+      if (this.onRecover) this.onRecover();
+    }
+  }
+
+  /**
+   * 화면 나누기 켜기/끄기
+   * @param {boolean} isSplit - true면 왼쪽 절반(영역 0)과 오른쪽 절반(영역 1)을 따로 인식
+   */
+  setSplit(isSplit) {
+    this.regions = isSplit ? [{ x: 0, width: 0.5 }, { x: 0.5, width: 0.5 }] : null;
+    this.regionCanvases = [];
+  }
+
   /**
    * 포즈 예측 수행
    */
   async predict() {
+    if (this.regions) return this.predictRegions();
+
     // Step 1: PoseNet을 통해 포즈 추정
     const { pose, posenetOutput } = await this.model.estimatePose(this.webcam.canvas);
 
@@ -89,19 +156,76 @@ class PoseEngine {
 
     // 콜백 호출
     if (this.onPrediction) {
-      this.onPrediction(prediction, pose);
+      this.onPrediction(prediction, pose, 0);
     }
 
-    if (this.onDraw && pose) {
-      this.onDraw(pose);
+    if (this.onDraw) {
+      this.onDraw([pose]);
     }
 
     return { prediction, pose };
   }
 
+  /**
+   * 화면 나누기: 영역마다 따로 포즈 추정 + 분류
+   * 영역을 정사각형 캔버스 가운데에 붙여서(비율 유지) 모델이 한 사람만 보게 함
+   */
+  async predictRegions() {
+    const source = this.webcam.canvas;
+    const size = source.height;
+    const poses = [];
+
+    for (let i = 0; i < this.regions.length; i++) {
+      const region = this.regions[i];
+      const sx = region.x * source.width;
+      const sw = region.width * source.width;
+      const dx = (size - sw) / 2;
+
+      const canvas = this.regionCanvas(i, size);
+      const regionCtx = canvas.getContext("2d");
+      regionCtx.fillStyle = "#000";
+      regionCtx.fillRect(0, 0, size, size);
+      regionCtx.drawImage(source, sx, 0, sw, size, dx, 0, sw, size);
+
+      const { pose, posenetOutput } = await this.model.estimatePose(canvas);
+      const prediction = await this.model.predict(posenetOutput);
+
+      // 그리기용 키포인트는 원래 웹캠 화면 좌표로 되돌림
+      const framePose = pose && {
+        ...pose,
+        keypoints: pose.keypoints.map(kp => ({
+          ...kp,
+          position: { x: kp.position.x - dx + sx, y: kp.position.y }
+        }))
+      };
+      poses.push(framePose);
+
+      if (this.onPrediction) {
+        this.onPrediction(prediction, pose, i);
+      }
+    }
+
+    if (this.onDraw) {
+      this.onDraw(poses);
+    }
+
+    return { poses };
+  }
+
+  regionCanvas(index, size) {
+    if (!this.regionCanvases[index]) {
+      const canvas = document.createElement("canvas");
+      canvas.width = size;
+      canvas.height = size;
+      this.regionCanvases[index] = canvas;
+    }
+    return this.regionCanvases[index];
+  }
+
   /**
    * 예측 결과 콜백 등록
-   * @param {Function} callback - (prediction, pose) => void
+   * @param {Function} callback - (prediction, pose, region) => void
+   *   region: 화면 나누기 영역 번호 (0 = 왼쪽 / 나누지 않을 때도 0)
    */
   setPredictionCallback(callback) {
     this.onPrediction = callback;
@@ -109,12 +233,22 @@ class PoseEngine {
 
   /**
    * 그리기 콜백 등록
-   * @param {Function} callback - (pose) => void
+   * @param {Function} callback - (poses) => void  영역별 포즈 배열 (나누지 않으면 1개, 못 찾으면 null)
    */
   setDrawCallback(callback) {
     this.onDraw = callback;
   }
 
+  /**
+   * 웹캠 멈춤/복구 콜백 등록
+   * @param {Function} onStall - () => void
+   * @param {Function} onRecover - () => void
+   */
+  setStallCallback(onStall, onRecover = null) {
+    this.onStall = onStall;
+    this.onRecover = onRecover;
+  }
+
   /**
    * 모델의 클래스 수 반환
    */
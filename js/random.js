@@ -0,0 +1,89 @@
+/**
+ * random.js
+ * Seeded pseudo random number generator (mulberry32)
+ *
+ * Same seed -> same sequence, so a run (item lanes, types, speeds,
+ * AI mistakes, roulette result) can be reproduced from its seed alone.
+ */
+
+class SeededRandom {
+  /**
+   * @param {number|string} seed - Number or numeric string. Other strings are hashed.
+   */
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.seed = SeededRandom.normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1), drop-in replacement for Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Random element of an array
+   */
+  pick(list) {
+    return list[this.int(list.length)];
+  }
+
+  /**
+   * Key of a { key: weight } table, picked in proportion to its weight
+   */
+  weighted(weights) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = this.next() * total;
+    for (const [key, weight] of entries) {
+      roll -= weight;
+      if (roll < 0) return key;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Independent generator derived from this seed.
+   * Lets AI or roulette draw numbers without shifting the item stream.
+   */
+  fork(label) {
+    return new SeededRandom(SeededRandom.hashString(`${this.seed}:${label}`));
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 1000000000);
+  }
+
+  static normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    return SeededRandom.hashString(text);
+  }
+
+  // FNV-1a
+  static hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+window.SeededRandom = SeededRandom;
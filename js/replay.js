@@ -0,0 +1,213 @@
+/**
+ * replay.js
+ * Replay files and playback
+ *
+ * GameCore records every run (seed, start settings, and each input with the
+ * simulation step it happened after). The core is deterministic, so feeding
+ * the same inputs at the same steps plays the run back exactly.
+ */
+
+class ReplayFile {
+  static FORMAT = 'sky-fruit-replay';
+  static VERSION = 1;
+
+  /**
+   * Bundles one or more recordings (e.g. both PVP boards) into a file object.
+   * @param {Array<{label: string, recording: Object}>} runs
+   */
+  static create(runs) {
+    return {
+      format: ReplayFile.FORMAT,
+      version: ReplayFile.VERSION,
+      createdAt: new Date().toISOString(),
+      runs: runs.map(({ label, recording }) => ({ label, ...recording }))
+    };
+  }
+
+  /**
+   * Parses and validates replay JSON. Throws an Error with a readable message.
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("JSON 형식이 아닙니다.");
+    }
+
+    if (!data || data.format !== ReplayFile.FORMAT) {
+      throw new Error("Sky Fruit Catcher 리플레이 파일이 아닙니다.");
+    }
+    if (data.version > ReplayFile.VERSION) {
+      throw new Error(`지원하지 않는 버전입니다. (v${data.version})`);
+    }
+    if (!Array.isArray(data.runs) || data.runs.length === 0) {
+      throw new Error("기록된 게임이 없습니다.");
+    }
+
+    data.runs.forEach((run, i) => {
+      if (run.seed === undefined || !run.config || !Array.isArray(run.inputs)) {
+        throw new Error(`${i + 1}번째 기록이 손상되었습니다.`);
+      }
+    });
+
+    return data;
+  }
+
+  static download(file, filename = `replay-${Date.now()}.json`) {
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+}
+
+class ReplayPlayer {
+  static MIN_SPEED = 0.5;
+  static MAX_SPEED = 4;
+
+  constructor(rootElement) {
+    this.root = rootElement || document;
+    this.engine = null;
+    this.run = null;
+    this.totalSteps = 0;
+    this.inputIndex = 0;
+
+    this.speed = 1;
+    this.isPlaying = false;
+    this.accumulator = 0;
+    this.lastFrameTime = 0;
+    this.frameId = null;
+
+    this.onUpdate = null; // Called after every drawn frame (UI sync)
+  }
+
+  load(run) {
+    this.run = run;
+    const lastInput = run.inputs[run.inputs.length - 1];
+    this.totalSteps = run.result ? run.result.steps : (lastInput ? lastInput.step : 0);
+    this.restart();
+  }
+
+  /**
+   * Back to step 0 with a fresh engine on the same board.
+   */
+  restart() {
+    this.pause();
+
+    this.engine = new GameEngine(this.root);
+    this.engine.devGunMode = !!this.run.config.devGunMode;
+    this.engine.start({
+      ...this.run.config,
+      seed: this.run.seed,
+      record: false,
+      autoLoop: false
+    });
+
+    this.inputIndex = 0;
+    this.accumulator = 0;
+    this.applyDueInputs();
+    this.draw();
+  }
+
+  applyDueInputs() {
+    const inputs = this.run.inputs;
+    while (this.inputIndex < inputs.length && inputs[this.inputIndex].step <= this.engine.stepCount) {
+      const entry = inputs[this.inputIndex++];
+      if (entry.action === 'invincible') {
+        // Older PVP files: the AI board used to turn invincible. The engine no longer
+        // takes this as an input; only playback of those files restores it.
+        this.engine.isInvincible = entry.value;
+      } else {
+        this.engine.applyInput(entry);
+      }
+    }
+  }
+
+  stepOnce() {
+    this.engine.step();
+    this.applyDueInputs();
+  }
+
+  get isFinished() {
+    return !this.engine.isGameActive || this.engine.stepCount >= this.totalSteps;
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    if (this.isFinished) this.restart();
+
+    this.isPlaying = true;
+    this.lastFrameTime = performance.now();
+    this.frameId = requestAnimationFrame((t) => this.loop(t));
+  }
+
+  pause() {
+    this.isPlaying = false;
+    if (this.frameId) cancelAnimationFrame(this.frameId);
+    this.frameId = null;
+  }
+
+  togglePlay() {
+    if (this.isPlaying) this.pause();
+    else this.play();
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.min(ReplayPlayer.MAX_SPEED, Math.max(ReplayPlayer.MIN_SPEED, speed));
+  }
+
+  /**
+   * Jumps to a simulation step. Going backwards re-simulates from the start.
+   */
+  seek(step) {
+    const target = Math.max(0, Math.min(step, this.totalSteps));
+    const wasPlaying = this.isPlaying;
+
+    if (target < this.engine.stepCount) this.restart();
+    this.pause();
+
+    while (!this.isFinished && this.engine.stepCount < target) {
+      this.stepOnce();
+    }
+
+    this.accumulator = 0;
+    this.draw();
+    if (wasPlaying && !this.isFinished) this.play();
+  }
+
+  loop(timestamp) {
+    if (!this.isPlaying) return;
+
+    const elapsed = Math.min(timestamp - this.lastFrameTime, GameCore.MAX_FRAME_MS);
+    this.lastFrameTime = timestamp;
+    this.accumulator += elapsed * this.speed;
+
+    while (!this.isFinished && this.accumulator >= GameCore.STEP_MS) {
+      this.stepOnce();
+      this.accumulator -= GameCore.STEP_MS;
+    }
+
+    if (this.isFinished) {
+      this.pause();
+      this.draw();
+      return;
+    }
+
+    this.draw(this.accumulator / GameCore.STEP_MS);
+    this.frameId = requestAnimationFrame((t) => this.loop(t));
+  }
+
+  draw(alpha = 1) {
+    this.engine.render(alpha);
+    if (this.onUpdate) this.onUpdate(this);
+  }
+}
+
+window.ReplayFile = ReplayFile;
+window.ReplayPlayer = ReplayPlayer;
@@ -0,0 +1,128 @@
+/**
+ * runStats.js
+ * Per-run statistics collector
+ *
+ * Listens to a GameCore's gameplay events (spawn, catch, miss, lane change,
+ * score) and aggregates them for the results screen: catches and misses per
+ * lane and per item type, bombs dodged, reaction time, input sources and a
+ * score/level timeline. No DOM, so headless runs can use it too.
+ */
+
+class RunStats {
+  static EVENTS = ['gameStart', 'itemSpawned', 'itemCaught', 'itemMissed', 'laneChanged', 'scoreChanged', 'gameEnd'];
+
+  /**
+   * @param {GameCore} core - Starts listening right away; call detach() when done
+   */
+  constructor(core) {
+    this.core = core;
+    this.reset(core.laneCount);
+
+    const offs = RunStats.EVENTS.map(type => core.on(type, detail => this.handle(type, detail)));
+    this.detach = () => offs.forEach(off => off());
+  }
+
+  reset(laneCount) {
+    this.lanes = Array.from({ length: laneCount }, () => ({ caught: 0, missed: 0, shot: 0 }));
+    this.types = {}; // type -> { spawned, caught, missed, shot }
+    this.bombs = { dodged: 0, hit: 0, shot: 0 };
+    this.catchTimes = []; // ms from spawn to basket catch (fruit only)
+    this.laneChanges = {}; // source -> count
+    this.timeline = []; // [{ t, score, level }]
+    this.duration = 0;
+    this.result = null;
+  }
+
+  handle(type, detail) {
+    switch (type) {
+      case 'gameStart':
+        this.reset(detail.laneCount);
+        this.timeline.push({ t: detail.clock, score: detail.score, level: detail.level });
+        break;
+      case 'itemSpawned':
+        this.typeStats(detail.item.type).spawned++;
+        break;
+      case 'itemCaught':
+        this.onCaught(detail);
+        break;
+      case 'itemMissed':
+        this.onMissed(detail);
+        break;
+      case 'laneChanged':
+        this.laneChanges[detail.source] = (this.laneChanges[detail.source] || 0) + 1;
+        break;
+      case 'scoreChanged':
+        this.timeline.push({ t: detail.clock, score: detail.score, level: detail.level });
+        break;
+      case 'gameEnd':
+        this.duration = detail.clock;
+        this.result = { score: detail.score, level: detail.level, victory: detail.victory, reason: detail.reason };
+        this.timeline.push({ t: detail.clock, score: detail.score, level: detail.level });
+        break;
+    }
+  }
+
+  typeStats(type) {
+    if (!this.types[type]) this.types[type] = { spawned: 0, caught: 0, missed: 0, shot: 0 };
+    return this.types[type];
+  }
+
+  effectOf(item) {
+    return this.core.itemCatalog.items[item.type].onCatch;
+  }
+
+  onCaught({ item, byGun, clock }) {
+    const effect = this.effectOf(item);
+    const typeStats = this.typeStats(item.type);
+    const lane = this.lanes[item.lane];
+
+    if (effect === 'explode') {
+      if (byGun) this.bombs.shot++;
+      else this.bombs.hit++;
+    }
+
+    if (byGun) {
+      typeStats.shot++;
+      if (effect === 'score') lane.shot++;
+      return;
+    }
+
+    typeStats.caught++;
+    if (effect === 'score') {
+      lane.caught++;
+      this.catchTimes.push(clock - item.spawnedAt);
+    }
+  }
+
+  onMissed({ item }) {
+    const effect = this.effectOf(item);
+    this.typeStats(item.type).missed++;
+
+    if (effect === 'explode') this.bombs.dodged++;
+    else if (effect === 'score') this.lanes[item.lane].missed++;
+  }
+
+  /**
+   * Plain object for the results screen (and JSON export).
+   */
+  summary() {
+    const totalCatchTime = this.catchTimes.reduce((sum, ms) => sum + ms, 0);
+
+    return {
+      duration: this.duration,
+      result: this.result,
+      lanes: this.lanes.map((lane, i) => ({
+        lane: i,
+        ...lane,
+        catchRate: lane.caught + lane.missed > 0 ? lane.caught / (lane.caught + lane.missed) : null
+      })),
+      types: this.types,
+      bombs: { ...this.bombs },
+      averageCatchMs: this.catchTimes.length > 0 ? totalCatchTime / this.catchTimes.length : null,
+      laneChanges: { ...this.laneChanges },
+      timeline: this.timeline.slice()
+    };
+  }
+}
+
+window.RunStats = RunStats;
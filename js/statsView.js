@@ -0,0 +1,123 @@
+/**
+ * statsView.js
+ * Draws a RunStats summary as HTML (tables + SVG charts) for the results screen
+ */
+
+class StatsView {
+  static CHART_WIDTH = 460;
+  static CHART_HEIGHT = 110;
+  // Lane change sources; pose and keyboard are always listed, the others once used
+  static SOURCE_LABELS = { pose: "🏃 포즈", keyboard: "⌨️ 키보드", gamepad: "🎮 게임패드", touch: "📱 터치" };
+
+  /**
+   * @param {HTMLElement} container
+   * @param {Object} summary - RunStats.summary()
+   * @param {Object} options - { laneNames: [..], catalog: item catalog }
+   */
+  static render(container, summary, { laneNames, catalog }) {
+    container.innerHTML = [
+      StatsView.laneTable(summary, laneNames),
+      StatsView.typeTable(summary, catalog),
+      StatsView.facts(summary),
+      StatsView.chart(summary, 'score', "점수", '#ef6c00'),
+      StatsView.chart(summary, 'level', "레벨", '#00838f')
+    ].join("");
+  }
+
+  static percent(rate) {
+    return rate === null ? "-" : `${Math.round(rate * 100)}%`;
+  }
+
+  static laneTable(summary, laneNames) {
+    // Weakest side: lowest catch rate among lanes with enough fruit to judge
+    const judged = summary.lanes.filter(lane => lane.caught + lane.missed >= 3);
+    const weakest = judged.length > 1
+      ? judged.reduce((worst, lane) => (lane.catchRate < worst.catchRate ? lane : worst))
+      : null;
+
+    const rows = summary.lanes.map(lane => {
+      const width = lane.catchRate === null ? 0 : Math.round(lane.catchRate * 100);
+      const mark = weakest && weakest.lane === lane.lane ? ' class="weak"' : '';
+      return `<tr${mark}>
+        <td>${laneNames[lane.lane] || lane.lane}</td>
+        <td>${lane.caught}</td>
+        <td>${lane.missed}</td>
+        <td><div class="stats-bar"><div style="width:${width}%"></div></div>${StatsView.percent(lane.catchRate)}</td>
+      </tr>`;
+    });
+
+    const hint = weakest ? `<p class="stats-hint">👉 약한 쪽: <b>${laneNames[weakest.lane]}</b></p>` : "";
+
+    return `<h4>레인별 과일</h4>
+      <table class="stats-table">
+        <thead><tr><th>레인</th><th>잡음</th><th>놓침</th><th>성공률</th></tr></thead>
+        <tbody>${rows.join("")}</tbody>
+      </table>${hint}`;
+  }
+
+  static typeTable(summary, catalog) {
+    const rows = Object.entries(summary.types)
+      .filter(([, stats]) => stats.spawned > 0)
+      .map(([type, stats]) => {
+        const visual = catalog.items[type] ? catalog.items[type].visual : {};
+        const icon = visual.emoji || visual.fallback || type;
+        return `<tr><td>${icon}</td><td>${stats.spawned}</td><td>${stats.caught}</td><td>${stats.missed}</td><td>${stats.shot}</td></tr>`;
+      });
+
+    return `<h4>아이템별</h4>
+      <table class="stats-table">
+        <thead><tr><th>종류</th><th>등장</th><th>받음</th><th>놓침</th><th>🔫</th></tr></thead>
+        <tbody>${rows.join("")}</tbody>
+      </table>`;
+  }
+
+  static facts(summary) {
+    const { bombs, laneChanges } = summary;
+    const reaction = summary.averageCatchMs === null ? "-" : `${(summary.averageCatchMs / 1000).toFixed(2)}초`;
+    const labels = StatsView.SOURCE_LABELS;
+    const moves = Object.entries(labels)
+      .filter(([source]) => source === 'pose' || source === 'keyboard' || laneChanges[source])
+      .map(([source, label]) => `${label} <b>${laneChanges[source] || 0}</b>`)
+      .join(" · ");
+    const otherMoves = Object.entries(laneChanges)
+      .filter(([source]) => !labels[source])
+      .reduce((sum, [, count]) => sum + count, 0);
+
+    return `<div class="stats-facts">
+      <div>💣 피한 폭탄: <b>${bombs.dodged}</b> (맞음 ${bombs.hit} · 🔫 ${bombs.shot})</div>
+      <div>⏱️ 평균 받기 시간 (등장→받기): <b>${reaction}</b></div>
+      <div>↔️ 레인 이동: ${moves}${otherMoves ? ` · 기타 ${otherMoves}` : ""}</div>
+    </div>`;
+  }
+
+  /**
+   * Step chart of one timeline field over the run.
+   */
+  static chart(summary, field, title, color) {
+    const points = summary.timeline;
+    if (points.length < 2) return "";
+
+    const width = StatsView.CHART_WIDTH;
+    const height = StatsView.CHART_HEIGHT;
+    const pad = 4;
+    const duration = Math.max(summary.duration, points[points.length - 1].t, 1);
+    const maxValue = Math.max(...points.map(p => p[field]), 1);
+
+    const x = t => pad + (t / duration) * (width - pad * 2);
+    const y = v => height - pad - (v / maxValue) * (height - pad * 2);
+
+    let path = `M ${x(points[0].t).toFixed(1)} ${y(points[0][field]).toFixed(1)}`;
+    points.slice(1).forEach(p => {
+      path += ` H ${x(p.t).toFixed(1)} V ${y(p[field]).toFixed(1)}`;
+    });
+
+    return `<h4>${title} 변화</h4>
+      <svg class="stats-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+        <path d="${path}" fill="none" stroke="${color}" stroke-width="2" />
+        <text x="${pad}" y="12">${maxValue}</text>
+        <text x="${width - pad}" y="${height - pad}" text-anchor="end">${(duration / 1000).toFixed(0)}s</text>
+      </svg>`;
+  }
+}
+
+window.StatsView = StatsView;
@@ -0,0 +1,127 @@
+/**
+ * touchInput.js
+ * Touch screen input source (phones, tablets)
+ *
+ * On the player's board:
+ *   tap a lane        move the basket there
+ *   swipe left/right  one lane that way
+ *   two-finger tap    fire the gun
+ * Optional on-screen buttons (elements with data-touch-action="left|right|gun|pause")
+ * do the same for players who find the gestures fiddly.
+ */
+
+class TouchSource extends InputSource {
+  static SWIPE_MIN_PX = 40; // Shorter moves count as a tap
+  static TAP_MAX_MS = 350; // Longer touches are not taps (resting fingers)
+
+  /**
+   * @param {Object} options - { buttons: element holding the on-screen buttons (optional) }
+   */
+  constructor({ buttons = null } = {}) {
+    super('touch');
+    this.buttons = buttons;
+    this.board = null;
+    this.gesture = null; // { x, y, startedAt, fingers } of the touch in progress
+
+    this.handleTouchStart = (e) => this.onTouchStart(e);
+    this.handleTouchMove = (e) => e.preventDefault(); // No page scroll or zoom while playing
+    this.handleTouchEnd = (e) => this.onTouchEnd(e);
+    this.handleTouchCancel = () => { this.gesture = null; };
+    this.handleButton = (e) => this.onButton(e);
+  }
+
+  connect() {
+    // The board of whichever player we are bound to
+    this.board = this.engine.renderer.container;
+    this.board.classList.add('touch-board');
+    this.board.addEventListener('touchstart', this.handleTouchStart, { passive: false });
+    this.board.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+    this.board.addEventListener('touchend', this.handleTouchEnd);
+    this.board.addEventListener('touchcancel', this.handleTouchCancel);
+    if (this.buttons) this.buttons.addEventListener('click', this.handleButton);
+  }
+
+  disconnect() {
+    if (this.board) {
+      this.board.classList.remove('touch-board');
+      this.board.removeEventListener('touchstart', this.handleTouchStart);
+      this.board.removeEventListener('touchmove', this.handleTouchMove);
+      this.board.removeEventListener('touchend', this.handleTouchEnd);
+      this.board.removeEventListener('touchcancel', this.handleTouchCancel);
+      this.board = null;
+    }
+    if (this.buttons) this.buttons.removeEventListener('click', this.handleButton);
+    this.gesture = null;
+  }
+
+  onTouchStart(e) {
+    e.preventDefault();
+    const touch = e.touches[0];
+
+    if (!this.gesture) {
+      this.gesture = { x: touch.clientX, y: touch.clientY, startedAt: e.timeStamp, fingers: 1 };
+    }
+    this.gesture.fingers = Math.max(this.gesture.fingers, e.touches.length);
+  }
+
+  onTouchEnd(e) {
+    // Wait until the last finger is lifted, then judge the whole gesture
+    if (!this.gesture || e.touches.length > 0) return;
+
+    const gesture = this.gesture;
+    this.gesture = null;
+    const isQuick = e.timeStamp - gesture.startedAt <= TouchSource.TAP_MAX_MS;
+
+    if (gesture.fingers >= 2) {
+      if (isQuick) this.emit('fireGun');
+      return;
+    }
+
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - gesture.x;
+    const dy = touch.clientY - gesture.y;
+    const moved = Math.max(Math.abs(dx), Math.abs(dy));
+
+    if (Math.abs(dx) >= TouchSource.SWIPE_MIN_PX && Math.abs(dx) > Math.abs(dy)) {
+      this.step(dx < 0 ? -1 : 1);
+    } else if (moved < TouchSource.SWIPE_MIN_PX && isQuick) {
+      this.emit('moveToLane', { lane: this.laneAt(touch.clientX) });
+    }
+  }
+
+  onButton(e) {
+    const button = e.target.closest('[data-touch-action]');
+    if (!button) return;
+
+    switch (button.dataset.touchAction) {
+      case 'left':
+        this.step(-1);
+        break;
+      case 'right':
+        this.step(1);
+        break;
+      case 'gun':
+        this.emit('fireGun');
+        break;
+      case 'pause':
+        this.emit('pause');
+        break;
+    }
+  }
+
+  /**
+   * One lane left (-1) or right (+1) of the basket.
+   */
+  step(direction) {
+    const lane = this.engine.playerPos + direction;
+    if (lane >= 0 && lane < this.engine.laneCount) this.emit('moveToLane', { lane });
+  }
+
+  laneAt(clientX) {
+    const rect = this.board.getBoundingClientRect();
+    const lane = Math.floor((clientX - rect.left) / rect.width * this.engine.laneCount);
+    return Math.min(Math.max(lane, 0), this.engine.laneCount - 1);
+  }
+}
+
+window.TouchSource = TouchSource;
@@ -0,0 +1,62 @@
+/**
+ * headless.js
+ * 브라우저용 게임 스크립트를 Node에서 DOM 없이 불러오는 로더
+ *
+ * js/ 파일은 <script> 태그용이라 `window.X = X` 형태로 자신을 등록합니다.
+ * 같은 vm 컨텍스트에서 순서대로 실행하면 브라우저처럼 전역을 공유합니다.
+ *
+ * 사용 예:
+ *   const { loadGame, runGame } = require('./tools/headless');
+ *   const game = loadGame();
+ *   const core = new game.GameCore();
+ *   core.start({ startLevel: 1 });
+ *   runGame(core);
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const JS_DIR = path.join(__dirname, "..", "js");
+
+// DOM이 필요 없는 스크립트만, index.html과 같은 순서로
+const HEADLESS_SCRIPTS = ["random.js", "itemCatalog.js", "levelPack.js", "bossRoster.js", "laneLayout.js",
+  "eventBus.js", "gameCore.js", "runStats.js"];
+
+/**
+ * 게임 스크립트를 새 vm 컨텍스트에 불러오기
+ * @param {Array<string>} scripts - js/ 기준 파일 이름 목록
+ * @returns {Object} 스크립트가 등록한 전역(window) 객체
+ */
+function loadGame(scripts = HEADLESS_SCRIPTS) {
+  const context = { console };
+  context.window = context;
+  vm.createContext(context);
+
+  scripts.forEach((file) => {
+    const filename = path.join(JS_DIR, file);
+    vm.runInContext(fs.readFileSync(filename, "utf8"), context, { filename });
+  });
+
+  return context;
+}
+
+/**
+ * 게임이 끝날 때까지 프레임 단위로 시뮬레이션
+ * 프레임 길이와 상관없이 core는 고정 스텝(GameCore.STEP_MS)으로 진행됩니다.
+ * @param {GameCore} core - start()가 호출된 GameCore
+ * @param {Object} options - { frameMs, maxMs, onFrame }
+ * @returns {GameCore} 종료된 core
+ */
+function runGame(core, options = {}) {
+  const { frameMs = core.constructor.STEP_MS, maxMs = 60 * 60 * 1000, onFrame = null } = options;
+
+  while (core.isGameActive && core.clock < maxMs) {
+    if (onFrame) onFrame(core);
+    core.advance(frameMs);
+  }
+
+  return core;
+}
+
+module.exports = { loadGame, runGame, HEADLESS_SCRIPTS };
@@ -0,0 +1,387 @@
+/**
+ * relay.js
+ * 온라인 PVP용 WebSocket 중계 서버 (의존성 없음, Node 내장 모듈만 사용)
+ *
+ * 방 코드로 두 사람을 묶어 주고, 한 사람이 보낸 메시지를 상대에게 그대로 전달합니다.
+ * 게임 판정은 하지 않습니다 (각 브라우저가 같은 시드로 직접 진행, js/netplay.js 참고).
+ *
+ * 실행:
+ *   node tools/relay.js              # ws://0.0.0.0:8787
+ *   node tools/relay.js --port 9000 --host 127.0.0.1
+ *
+ * 메시지 (JSON):
+ *   클라이언트 → 서버: create, join { room }, ping { t }
+ *   서버 → 클라이언트: created { room }, joined { room }, peerJoined, peerLeft, pong { t }, error { message }
+ *   게임 메시지 (start, state, end, pause, ready)는 같은 방 상대에게 그대로 전달
+ *   그 밖의 type은 error (서버 메시지인 척하는 peerLeft, error 등을 막기 위해)
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"; // RFC 6455 고정값
+const MAX_PAYLOAD = 256 * 1024; // 이보다 큰 메시지는 끊음
+const HEARTBEAT_MS = 10000; // 이 간격으로 ping, 다음 ping까지 pong이 없으면 끊긴 것으로 봄
+const ROOM_CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // 헷갈리는 0/O, 1/I 제외
+const ROOM_CODE_LENGTH = 4;
+const GAME_MESSAGES = ["start", "state", "end", "pause", "ready"]; // 상대에게 전달하는 type (js/netplay.js)
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+
+/**
+ * WebSocket 연결 하나 (서버 쪽)
+ * 프레임 해석/만들기만 담당하고, 받은 텍스트 메시지는 onMessage로 넘김
+ */
+class Connection {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = []; // 조각난 메시지 (FIN 전까지)
+    this.fragmentBytes = 0; // 조각들의 크기 합 (MAX_PAYLOAD를 넘으면 끊음)
+    this.isAlive = true;
+    this.isClosed = false;
+    this.room = null;
+
+    this.onMessage = () => {};
+    this.onClose = () => {};
+
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("close", () => this.closed());
+    socket.on("error", () => this.closed());
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let frame;
+    while (!this.isClosed && (frame = this.readFrame())) {
+      this.handleFrame(frame);
+    }
+  }
+
+  /**
+   * 버퍼에서 프레임 하나 꺼내기 (아직 덜 왔으면 null)
+   */
+  readFrame() {
+    const buf = this.buffer;
+    if (buf.length < 2) return null;
+
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      length = Number(buf.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    if (length > MAX_PAYLOAD) {
+      this.close(1009, "Message too big");
+      return null;
+    }
+    // 브라우저가 보내는 프레임은 반드시 마스킹되어 있어야 함
+    if (!masked) {
+      this.close(1002, "Unmasked frame");
+      return null;
+    }
+
+    if (buf.length < offset + 4 + length) return null;
+    const mask = buf.subarray(offset, offset + 4);
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+
+    this.buffer = buf.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.binary:
+      case OPCODES.continuation:
+        this.fragmentBytes += payload.length;
+        if (this.fragmentBytes > MAX_PAYLOAD) {
+          this.close(1009, "Message too big");
+          break;
+        }
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString("utf8");
+          this.fragments = [];
+          this.fragmentBytes = 0;
+          this.onMessage(message);
+        }
+        break;
+      case OPCODES.ping:
+        this.sendFrame(OPCODES.pong, payload);
+        break;
+      case OPCODES.pong:
+        this.isAlive = true;
+        break;
+      case OPCODES.close:
+        this.close(1000, "");
+        break;
+      default:
+        this.close(1003, "Unsupported frame");
+    }
+  }
+
+  sendFrame(opcode, payload) {
+    if (this.isClosed) return;
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  send(message) {
+    this.sendFrame(OPCODES.text, Buffer.from(JSON.stringify(message), "utf8"));
+  }
+
+  ping() {
+    this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+  }
+
+  close(code = 1000, reason = "") {
+    if (this.isClosed) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.sendFrame(OPCODES.close, payload);
+    // end()는 닫기 프레임을 보낸 뒤 소켓을 닫음
+    this.isClosed = true;
+    this.socket.end();
+    this.onClose();
+  }
+
+  closed() {
+    if (this.isClosed) return;
+    this.isClosed = true;
+    this.socket.destroy();
+    this.onClose();
+  }
+}
+
+/**
+ * HTTP Upgrade 요청에 WebSocket 핸드셰이크로 응답
+ * @returns {boolean} 성공 여부
+ */
+function acceptHandshake(req, socket) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return false;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write([
+    "HTTP/1.1 101 Switching Protocols",
+    "Upgrade: websocket",
+    "Connection: Upgrade",
+    `Sec-WebSocket-Accept: ${accept}`,
+    "",
+    ""
+  ].join("\r\n"));
+  return true;
+}
+
+/**
+ * 방 관리 + 메시지 중계
+ */
+class Relay {
+  constructor({ log = console.log } = {}) {
+    this.rooms = new Map(); // 코드 -> [Connection, ...] (최대 2명)
+    this.connections = new Set();
+    this.log = log;
+    this.heartbeat = null;
+  }
+
+  add(connection) {
+    this.connections.add(connection);
+    connection.onMessage = (text) => this.handleMessage(connection, text);
+    connection.onClose = () => this.remove(connection);
+  }
+
+  remove(connection) {
+    this.connections.delete(connection);
+    this.leaveRoom(connection);
+  }
+
+  newRoomCode() {
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(ROOM_CODE_LENGTH), b => ROOM_CODE_CHARS[b % ROOM_CODE_CHARS.length]).join("");
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  handleMessage(connection, text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      connection.send({ type: "error", message: "JSON 형식이 아닙니다." });
+      return;
+    }
+    // null, 숫자, 배열 같은 값은 JSON이어도 메시지가 아님
+    if (!message || typeof message !== "object" || Array.isArray(message)) {
+      connection.send({ type: "error", message: "메시지는 { type, ... } 객체여야 합니다." });
+      return;
+    }
+
+    switch (message.type) {
+      case "ping":
+        connection.send({ type: "pong", t: message.t });
+        break;
+      case "create": {
+        this.leaveRoom(connection);
+        const room = this.newRoomCode();
+        this.rooms.set(room, [connection]);
+        connection.room = room;
+        connection.send({ type: "created", room });
+        this.log(`방 ${room} 생성`);
+        break;
+      }
+      case "join":
+        this.joinRoom(connection, String(message.room || "").toUpperCase());
+        break;
+      default: {
+        if (!GAME_MESSAGES.includes(message.type)) {
+          connection.send({ type: "error", message: `알 수 없는 메시지: ${String(message.type).slice(0, 20)}` });
+          return;
+        }
+        // 상대에게 그대로 전달
+        const peer = this.peerOf(connection);
+        if (peer) peer.send(message);
+      }
+    }
+  }
+
+  joinRoom(connection, room) {
+    // 자기 방에 다시 들어오면 leaveRoom이 방을 지워 버리므로 거절
+    if (connection.room === room) {
+      connection.send({ type: "error", message: `이미 방 ${room} 에 있습니다.` });
+      return;
+    }
+    const members = this.rooms.get(room);
+    if (!members) {
+      connection.send({ type: "error", message: `방 ${room} 을(를) 찾을 수 없습니다.` });
+      return;
+    }
+    if (members.length >= 2) {
+      connection.send({ type: "error", message: `방 ${room} 은(는) 이미 꽉 찼습니다.` });
+      return;
+    }
+
+    this.leaveRoom(connection);
+    members.push(connection);
+    connection.room = room;
+    connection.send({ type: "joined", room });
+    members[0].send({ type: "peerJoined" });
+    this.log(`방 ${room} 두 명 입장`);
+  }
+
+  leaveRoom(connection) {
+    const room = connection.room;
+    if (!room || !this.rooms.has(room)) return;
+
+    const rest = this.rooms.get(room).filter(member => member !== connection);
+    connection.room = null;
+    // 남은 사람이 새 상대를 기다릴 수 있도록 방은 그대로 둠 (아무도 없으면 삭제)
+    if (rest.length === 0) {
+      this.rooms.delete(room);
+      this.log(`방 ${room} 닫힘`);
+    } else {
+      this.rooms.set(room, rest);
+      rest.forEach(member => member.send({ type: "peerLeft" }));
+      this.log(`방 ${room} 한 명 나감`);
+    }
+  }
+
+  peerOf(connection) {
+    const members = connection.room ? this.rooms.get(connection.room) : null;
+    return members ? members.find(member => member !== connection) || null : null;
+  }
+
+  /**
+   * 응답 없는 연결 정리 (와이파이 끊김처럼 close 없이 사라진 경우)
+   */
+  startHeartbeat(intervalMs = HEARTBEAT_MS) {
+    this.heartbeat = setInterval(() => {
+      this.connections.forEach((connection) => {
+        if (!connection.isAlive) {
+          connection.closed();
+          return;
+        }
+        connection.isAlive = false;
+        connection.ping();
+      });
+    }, intervalMs);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+  }
+}
+
+/**
+ * 중계 서버 만들기 (listen은 호출하는 쪽에서)
+ * @returns {{ server: http.Server, relay: Relay }}
+ */
+function createRelayServer(options = {}) {
+  const relay = new Relay(options);
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Sky Fruit Catcher relay server\n");
+  });
+
+  server.on("upgrade", (req, socket) => {
+    if (acceptHandshake(req, socket)) relay.add(new Connection(socket));
+  });
+  server.on("close", () => relay.stopHeartbeat());
+
+  relay.startHeartbeat(options.heartbeatMs);
+  return { server, relay };
+}
+
+function parseArgs(argv) {
+  const options = { port: 8787, host: "0.0.0.0" };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--port") options.port = parseInt(argv[++i], 10);
+    else if (argv[i] === "--host") options.host = argv[++i];
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const { port, host } = parseArgs(process.argv.slice(2));
+  const { server } = createRelayServer();
+  server.listen(port, host, () => {
+    console.log(`🌐 중계 서버 실행 중: ws://${host}:${port}`);
+    console.log("같은 네트워크의 다른 컴퓨터는 이 컴퓨터의 IP 주소로 접속하세요.");
+  });
+}
+
+module.exports = { createRelayServer, Relay, Connection };
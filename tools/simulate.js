@@ -0,0 +1,263 @@
+/**
+ * simulate.js
+ * AI로 게임을 여러 판 돌려서 밸런스를 확인하는 도구 (브라우저 없이, tools/headless.js 사용)
+ *
+ * 시드마다 한 판씩, AIEngine이 플레이해서 결과를 모읍니다.
+ * 같은 시드와 옵션이면 항상 같은 결과가 나오므로, 규칙(spawnItem 확률, 레벨 속도 등)을
+ * 바꾸기 전과 후를 그대로 비교할 수 있습니다.
+ *
+ * 실행:
+ *   node tools/simulate.js                                   # 중간 난이도 100판 (시드 1~100), JSON
+ *   node tools/simulate.js --games 500 --difficulty hard --seed 1000
+ *   node tools/simulate.js --level 10 --reward gun --format csv --out runs.csv
+ *   node tools/simulate.js --difficulty adaptive --skill 0.4 --fast
+ *
+ * 옵션:
+ *   --games N           판 수 (기본 100)
+ *   --seed S            첫 시드, S부터 S+N-1까지 (기본 1)
+ *   --difficulty D      AI 난이도: easy | medium | hard | hell | adaptive (기본 medium)
+ *   --skill S           adaptive 전용, 0(쉬움) ~ 1(극악) 사이 고정 실력 (기본 0.5)
+ *                       상대 보드가 없으므로 대결 중처럼 실력이 변하지는 않음 (AIEngine.profileFor 그대로)
+ *   --level L           시작 레벨 (기본 1)
+ *   --reward R          룰렛 보상: life | gun | kkwang (기본 없음)
+ *   --lanes N           레인 수 (기본 3)
+ *   --max-minutes M     한 판 최대 시간 (게임 시간, 기본 30분; 넘으면 'stopped')
+ *   --format F          json (요약 + 판별 결과) | csv (판별 결과 한 줄씩) (기본 json)
+ *   --out FILE          파일로 저장 (기본: 화면 출력)
+ *   --fast              AI의 읽기 전용 확인(fair mode)을 끄고 훨씬 빠르게 실행
+ *                       AI 판단은 같고 결과도 같아야 하지만, 브라우저와 똑같은 경로는 아님
+ *
+ * 요약(JSON summary): 최종 레벨/점수 분포, 레벨별 도달 비율, 종료 이유(폭탄/놓침/시간/승리),
+ * 보스별 승률, 평균 플레이 시간. 요약 한 줄은 항상 stderr에도 출력합니다.
+ */
+
+const fs = require("fs");
+const { loadGame, runGame, HEADLESS_SCRIPTS } = require("./headless");
+
+const SCRIPTS = [...HEADLESS_SCRIPTS, "inputController.js", "aiEngine.js"];
+const REWARDS = ["life", "gun", "kkwang"];
+const FORMATS = ["json", "csv"];
+const SCORE_BUCKET = 1000; // 점수 분포 구간 크기
+const CSV_COLUMNS = ["seed", "level", "score", "reason", "durationSec", "maxCombo", "bossesFought", "bossesDefeated"];
+
+/**
+ * 한 판 실행
+ * @returns {Object} { seed, level, score, reason, durationSec, maxCombo, bossesFought, bossesDefeated, bosses }
+ */
+function simulateGame(game, seed, options) {
+  const core = new game.GameCore();
+  const bosses = []; // [{ bossId, defeated }] 만난 순서대로
+  core.on("bossStart", ({ bossId }) => bosses.push({ bossId, defeated: false }));
+  core.on("bossDefeated", ({ bossId }) => {
+    const fight = bosses.find(b => b.bossId === bossId && !b.defeated);
+    if (fight) fight.defeated = true;
+  });
+
+  core.start({
+    seed,
+    startLevel: options.level,
+    reward: options.reward,
+    laneCount: options.lanes,
+    record: false
+  });
+
+  // 브라우저와 같은 AI (시드에서 나온 난수, 기본은 같은 읽기 전용 확인까지)
+  const controller = new game.InputController(core);
+  const ai = new game.AIEngine(core, options.difficulty, core.rng.fork("ai"), { fair: !options.fast });
+  if (options.difficulty === "adaptive") ai.setSkill(options.skill);
+  controller.bind(ai);
+
+  const maxMs = options.maxMinutes * 60 * 1000;
+  runGame(core, { maxMs, onFrame: () => ai.update() });
+  if (core.isGameActive) core.stop("Simulation limit", false, "stopped");
+
+  return {
+    seed,
+    level: core.level,
+    score: core.score,
+    reason: core.endReason,
+    durationSec: Math.round(core.clock / 100) / 10,
+    maxCombo: core.maxCombo,
+    bossesFought: bosses.length,
+    bossesDefeated: bosses.filter(b => b.defeated).length,
+    bosses
+  };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1));
+  return sorted[index];
+}
+
+function describe(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+  return {
+    min: sorted[0] ?? null,
+    max: sorted[sorted.length - 1] ?? null,
+    mean: Math.round(mean * 10) / 10,
+    median: percentile(sorted, 0.5),
+    p10: percentile(sorted, 0.1),
+    p90: percentile(sorted, 0.9)
+  };
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round(count / total * 1000) / 1000 : null;
+}
+
+/**
+ * 판별 결과 -> 요약 통계
+ */
+function summarize(runs) {
+  const total = runs.length;
+
+  const levelCounts = {};
+  runs.forEach(run => { levelCounts[run.level] = (levelCounts[run.level] || 0) + 1; });
+  const maxLevel = Math.max(...runs.map(run => run.level));
+  const minLevel = Math.min(...runs.map(run => run.level));
+  // 레벨 L 이상까지 간 판의 비율 ("15레벨까지 갈 수 있나?")
+  const reached = {};
+  for (let level = minLevel; level <= maxLevel; level++) {
+    reached[level] = rate(runs.filter(run => run.level >= level).length, total);
+  }
+
+  const scoreHistogram = {}; // 낮은 구간부터
+  [...runs].sort((x, y) => x.score - y.score).forEach(run => {
+    const from = Math.floor(run.score / SCORE_BUCKET) * SCORE_BUCKET;
+    const key = `${from}-${from + SCORE_BUCKET - 1}`;
+    scoreHistogram[key] = (scoreHistogram[key] || 0) + 1;
+  });
+
+  const endReasons = { bomb: 0, misses: 0, time: 0, victory: 0, stopped: 0 };
+  runs.forEach(run => { endReasons[run.reason] = (endReasons[run.reason] || 0) + 1; });
+
+  const byBoss = {};
+  runs.forEach(run => run.bosses.forEach(({ bossId, defeated }) => {
+    const boss = byBoss[bossId] || (byBoss[bossId] = { fought: 0, defeated: 0, winRate: null });
+    boss.fought++;
+    if (defeated) boss.defeated++;
+  }));
+  Object.values(byBoss).forEach(boss => { boss.winRate = rate(boss.defeated, boss.fought); });
+  const fought = runs.reduce((sum, run) => sum + run.bossesFought, 0);
+  const defeated = runs.reduce((sum, run) => sum + run.bossesDefeated, 0);
+
+  return {
+    averageDurationSec: describe(runs.map(run => run.durationSec)).mean,
+    level: { ...describe(runs.map(run => run.level)), distribution: levelCounts, reached },
+    score: { ...describe(runs.map(run => run.score)), histogram: scoreHistogram },
+    endReasons,
+    endReasonRates: Object.fromEntries(Object.entries(endReasons).map(([reason, count]) => [reason, rate(count, total)])),
+    bosses: { fought, defeated, winRate: rate(defeated, fought), byBoss }
+  };
+}
+
+function toCSV(runs) {
+  const rows = runs.map(run => CSV_COLUMNS.map(column => run[column]).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * 시뮬레이션 전체 실행
+ * @param {Object} options - parseArgs() 결과
+ * @returns {{ config, summary, games }}
+ */
+function simulate(options) {
+  const game = loadGame(SCRIPTS);
+  const difficulties = [...Object.keys(game.AIEngine.DIFFICULTIES), "adaptive"];
+  if (!difficulties.includes(options.difficulty)) {
+    throw new Error(`알 수 없는 난이도: ${options.difficulty} (${difficulties.join(", ")})`);
+  }
+
+  const runs = [];
+  for (let i = 0; i < options.games; i++) {
+    runs.push(simulateGame(game, options.seed + i, options));
+  }
+
+  return {
+    config: {
+      games: options.games,
+      seeds: [options.seed, options.seed + options.games - 1],
+      difficulty: options.difficulty,
+      skill: options.difficulty === "adaptive" ? options.skill : null,
+      fast: options.fast,
+      startLevel: options.level,
+      reward: options.reward,
+      laneCount: options.lanes,
+      maxMinutes: options.maxMinutes
+    },
+    summary: summarize(runs),
+    games: runs.map(({ bosses, ...run }) => run)
+  };
+}
+
+function parseArgs(argv) {
+  const options = {
+    games: 100,
+    seed: 1,
+    difficulty: "medium",
+    level: 1,
+    reward: null,
+    lanes: 3,
+    maxMinutes: 30,
+    skill: 0.5,
+    fast: false,
+    format: "json",
+    out: null
+  };
+  const numbers = { "--games": "games", "--seed": "seed", "--level": "level", "--lanes": "lanes", "--max-minutes": "maxMinutes" };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (numbers[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value) || value < (arg === "--seed" ? 0 : 1)) throw new Error(`${arg} 값이 올바르지 않습니다: ${argv[i]}`);
+      options[numbers[arg]] = arg === "--max-minutes" ? value : Math.floor(value);
+    } else if (arg === "--skill") {
+      options.skill = Number(argv[++i]);
+      if (!(options.skill >= 0 && options.skill <= 1)) throw new Error(`--skill 은 0 ~ 1 사이여야 합니다: ${argv[i]}`);
+    } else if (arg === "--fast") {
+      options.fast = true;
+    } else if (arg === "--difficulty") {
+      options.difficulty = argv[++i];
+    } else if (arg === "--reward") {
+      options.reward = argv[++i];
+      if (!REWARDS.includes(options.reward)) throw new Error(`--reward 는 ${REWARDS.join(" | ")} 중 하나입니다.`);
+    } else if (arg === "--format") {
+      options.format = argv[++i];
+      if (!FORMATS.includes(options.format)) throw new Error(`--format 은 ${FORMATS.join(" | ")} 중 하나입니다.`);
+    } else if (arg === "--out") {
+      options.out = argv[++i];
+    } else {
+      throw new Error(`알 수 없는 옵션: ${arg}`);
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  let options;
+  let result;
+  try {
+    options = parseArgs(process.argv.slice(2));
+    result = simulate(options);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const output = options.format === "csv" ? toCSV(result.games) : JSON.stringify(result, null, 2) + "\n";
+  if (options.out) fs.writeFileSync(options.out, output);
+  else process.stdout.write(output);
+
+  const { summary, config } = result;
+  console.error(
+    `🧪 ${config.difficulty} ${config.games}판 (시드 ${config.seeds[0]}~${config.seeds[1]}): ` +
+    `평균 레벨 ${summary.level.mean}, 평균 점수 ${summary.score.mean}, 평균 ${summary.averageDurationSec}초, ` +
+    `종료 ${Object.entries(summary.endReasons).filter(([, n]) => n > 0).map(([r, n]) => `${r} ${n}`).join(" · ")}, ` +
+    `보스 승률 ${summary.bosses.winRate ?? "-"}`
+  );
+}
+
+module.exports = { simulate, simulateGame, summarize, toCSV, parseArgs };
@@ -0,0 +1,61 @@
+/**
+ * aiBombs.test.js
+ * AI가 피할 수 있는 폭탄은 반드시 피하는지 확인 (tools/simulate.js처럼 AI로 여러 판 실행)
+ *
+ * 극악 AI도 폭탄 벽(모든 레인이 한꺼번에 막힘)은 못 피하므로 폭탄을 받는 판 자체는 있음.
+ * 대신 폭탄을 피하는 계획이 있다가 없어졌다면, 그 사이 새 폭탄이 나타났어야 함
+ * (이미 보이던 폭탄을 잘못 예측하면 실패: 예) 느리게 하기가 끝나면 빨라지는 것)
+ *
+ * 실행: node --test tools/tests/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame, runGame, HEADLESS_SCRIPTS } = require("../headless");
+
+const game = loadGame([...HEADLESS_SCRIPTS, "inputController.js", "aiEngine.js"]);
+const SEEDS = 40;
+const MAX_MS = 30 * 60 * 1000;
+
+/**
+ * 극악 AI로 한 판, AI가 볼 때마다 가장 좋은 계획이 폭탄을 피하는지 기록
+ * 피하던 계획이 폭탄을 받는 계획으로 바뀌었는데 그 사이 새 폭탄이 나타나지 않았다면
+ * 이미 보이던 폭탄을 놓친 것 (계획이 틀림)
+ * @returns {Array<string>} 그런 경우들 (시각, 받은 폭탄 수)
+ */
+function missedDodges(seed, laneCount) {
+  const core = new game.GameCore();
+  core.start({ seed, laneCount, record: false });
+
+  const controller = new game.InputController(core);
+  const ai = new game.AIEngine(core, "hell", core.rng.fork("ai"), { fair: false });
+  controller.bind(ai);
+
+  const isBomb = item => core.itemCatalog.items[item.type].onCatch === "explode";
+  let wasSafe = true;
+  let bombsSeen = new Set();
+  const failures = [];
+  const plan = ai.plan.bind(ai);
+  ai.plan = (firstMs) => {
+    const plans = plan(firstMs);
+    // 폭탄 하나(BOMB_PENALTY)가 과일 점수를 다 합친 것보다 크므로 절반 아래면 폭탄을 받는 계획
+    const isSafe = plans[0].value > -game.AIEngine.BOMB_PENALTY / 2;
+    const bombs = new Set(core.items.filter(isBomb));
+    const newBomb = [...bombs].some(item => !bombsSeen.has(item));
+    if (wasSafe && !isSafe && !newBomb) failures.push(`${Math.round(core.clock)}ms`);
+    wasSafe = isSafe;
+    bombsSeen = bombs;
+    return plans;
+  };
+
+  runGame(core, { maxMs: MAX_MS, onFrame: () => ai.update() });
+  return failures;
+}
+
+[2, 3].forEach((laneCount) => {
+  test(`극악 AI는 보이는 폭탄을 피할 수 있으면 피한다 (레인 ${laneCount}개, 시드 1~${SEEDS})`, () => {
+    for (let seed = 1; seed <= SEEDS; seed++) {
+      assert.deepStrictEqual(missedDodges(seed, laneCount), [], `시드 ${seed}`);
+    }
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * bossProgression.test.js
+ * 보스 레벨을 건너뛰어도 그 보스와 반드시 싸우는지 확인 (브라우저 없이)
+ *
+ * 실행: node --test tools/tests/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGame } = require("../headless");
+
+const game = loadGame();
+
+/**
+ * 레벨 5(골렘)에서 시작해서 골렘 전투가 시작된 core
+ */
+function startAtGolem() {
+  const core = new game.GameCore();
+  const bosses = [];
+  core.on("bossStart", ({ bossId }) => bosses.push(bossId));
+  core.start({ startLevel: 5, seed: 1, record: false });
+  core.advance(200); // 보스 레벨로 시작하면 잠깐 뒤에 전투 시작
+  assert.strictEqual(core.bossId, "golem");
+  return { core, bosses };
+}
+
+function defeatCurrentBoss(core) {
+  const bossId = core.bossId;
+  // 다음 보스가 바로 시작될 수 있으므로 보스가 바뀌면 멈춤
+  while (core.isBossActive && core.bossId === bossId) core.damageBoss();
+}
+
+test("골렘 보상으로 레벨 10에 올라가면 크라켄 전투가 시작된다", () => {
+  const { core, bosses } = startAtGolem();
+  const rewardScore = core.bossRoster.golem.reward.score;
+
+  // 전투 중 레벨 9까지, 보상 점수로 레벨 10을 넘기도록
+  core.addScore(core.scoreThresholdFor(10) - rewardScore - core.score);
+  assert.strictEqual(core.level, 9);
+  assert.strictEqual(core.bossId, "golem");
+
+  defeatCurrentBoss(core);
+  assert.strictEqual(core.level, 10);
+  assert.deepStrictEqual(bosses, ["golem", "kraken"]);
+  assert.strictEqual(core.bossId, "kraken");
+});
+
+test("골렘 전투 중에 레벨 10을 지나쳐도 골렘 다음에 크라켄이 나온다", () => {
+  const { core, bosses } = startAtGolem();
+
+  core.addScore(core.scoreThresholdFor(11) - core.score);
+  assert.strictEqual(core.level, 11);
+  assert.strictEqual(core.bossId, "golem");
+
+  defeatCurrentBoss(core);
+  assert.deepStrictEqual(bosses, ["golem", "kraken"]);
+  assert.strictEqual(core.bossId, "kraken");
+});
+
+test("보스 밖에서 여러 레벨을 한 번에 넘어도 보스를 건너뛰지 않는다", () => {
+  const core = new game.GameCore();
+  const bosses = [];
+  core.on("bossStart", ({ bossId }) => bosses.push(bossId));
+  core.start({ startLevel: 3, seed: 1, record: false });
+
+  core.addScore(core.scoreThresholdFor(7) - core.score);
+  assert.strictEqual(core.level, 7);
+  assert.deepStrictEqual(bosses, ["golem"]);
+});